@@ -0,0 +1,44 @@
+/**
+ * Pull missed Meta leads for one or more forms and a date range
+ * Usage: npm run backfill-meta -- <fromDate> <toDate> <formId> [formId...]
+ */
+require("dotenv").config();
+const { connectDB, closeDB } = require("../src/config/database");
+const backfillService = require("../src/services/backfill.service");
+
+const run = async () => {
+  const [fromDate, toDate, ...formIds] = process.argv.slice(2);
+
+  if (!fromDate || !toDate || formIds.length === 0) {
+    console.error(
+      "Usage: npm run backfill-meta -- <fromDate> <toDate> <formId> [formId...]",
+    );
+    process.exit(1);
+  }
+
+  const conn = await connectDB();
+  if (!conn) process.exit(1);
+
+  const result = await backfillService.backfillMeta({
+    formIds,
+    fromDate,
+    toDate,
+  });
+
+  result.forms.forEach((form) => {
+    console.log(
+      `Form ${form.formId}: ${form.fetched} fetched, ${form.created} created, ${form.existing} existing, ${form.failed} failed`,
+    );
+    form.errors.forEach((error) => {
+      console.log(`  ❌ ${error.leadId}: ${error.error}`);
+    });
+  });
+
+  await closeDB();
+};
+
+run().catch(async (error) => {
+  console.error("❌ Backfill failed:", error.message);
+  await closeDB();
+  process.exit(1);
+});
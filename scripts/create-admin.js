@@ -0,0 +1,36 @@
+/**
+ * Create (or reset) an admin user
+ * Usage: npm run create-admin -- <email> <password> [name]
+ */
+require("dotenv").config();
+const { connectDB, closeDB } = require("../src/config/database");
+const User = require("../src/models/User");
+
+const run = async () => {
+  const [email, password, name = "Administrator"] = process.argv.slice(2);
+
+  if (!email || !password) {
+    console.error("Usage: npm run create-admin -- <email> <password> [name]");
+    process.exit(1);
+  }
+
+  const conn = await connectDB();
+  if (!conn) process.exit(1);
+
+  let user = await User.findOne({ email: email.toLowerCase() });
+  if (user) {
+    user.set({ password, role: "admin", active: true });
+  } else {
+    user = new User({ name, email, password, role: "admin" });
+  }
+  await user.save();
+
+  console.log(`✅ Admin user ready: ${user.email}`);
+  await closeDB();
+};
+
+run().catch(async (error) => {
+  console.error("❌ Failed to create admin:", error.message);
+  await closeDB();
+  process.exit(1);
+});
@@ -0,0 +1,53 @@
+/**
+ * Pull daily ad spend from every configured ad platform (e.g. from cron)
+ * Usage: npm run fetch-ad-spend -- [fromDate] [toDate]
+ * Defaults to the last 7 days
+ */
+require("dotenv").config();
+const { connectDB, closeDB } = require("../src/config/database");
+const adSpendService = require("../src/services/adSpend.service");
+const fetchers = require("../src/adSpend");
+
+const run = async () => {
+  const [fromDate, toDate] = process.argv.slice(2);
+
+  const platforms = Object.keys(fetchers).filter((platform) =>
+    fetchers[platform].isConfigured(),
+  );
+  if (platforms.length === 0) {
+    console.error("❌ No ad platform is configured for spend fetching");
+    process.exit(1);
+  }
+
+  const conn = await connectDB();
+  if (!conn) process.exit(1);
+
+  let failed = false;
+  for (const platform of platforms) {
+    try {
+      const result = await adSpendService.fetchSpend({
+        platform,
+        fromDate,
+        toDate,
+      });
+      console.log(
+        `${platform} ${result.since}..${result.until}: ${result.fetched} fetched, ${result.inserted} new, ${result.updated} updated, ${result.failed} failed`,
+      );
+      result.errors.forEach((error) => {
+        console.log(`  ❌ ${error.campaignId}: ${error.error}`);
+      });
+    } catch (error) {
+      failed = true;
+      console.error(`❌ ${platform}: ${error.message}`);
+    }
+  }
+
+  await closeDB();
+  if (failed) process.exit(1);
+};
+
+run().catch(async (error) => {
+  console.error("❌ Ad spend fetch failed:", error.message);
+  await closeDB();
+  process.exit(1);
+});
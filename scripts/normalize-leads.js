@@ -0,0 +1,51 @@
+/**
+ * Recompute derived contact fields (E.164 phone, matching keys) for all leads
+ * and fill in fields missing from leads created by older versions
+ * Usage: npm run normalize-leads
+ */
+require("dotenv").config();
+const { connectDB, closeDB } = require("../src/config/database");
+const Lead = require("../src/models/Lead");
+const pipelinesService = require("../src/services/pipelines.service");
+
+const run = async () => {
+  const conn = await connectDB();
+  if (!conn) process.exit(1);
+
+  // Leads without a pipeline belong to the current default one
+  const pipeline = await pipelinesService.getDefaultPipeline();
+  const attached = await Lead.updateMany(
+    { pipeline: null },
+    { pipeline: pipeline._id },
+  );
+  console.log(
+    `✅ Attached ${attached.modifiedCount} leads to the ${pipeline.name} pipeline`,
+  );
+
+  // Leads that never changed status have been in it since they were created
+  const backfilled = await Lead.updateMany({ statusChangedAt: null }, [
+    { $set: { statusChangedAt: "$createdAt" } },
+  ]);
+  console.log(
+    `✅ Set statusChangedAt on ${backfilled.modifiedCount} older leads`,
+  );
+
+  let count = 0;
+  const cursor = Lead.find().cursor();
+  for await (const lead of cursor) {
+    // Mark contact fields modified so the save hooks recompute them
+    lead.markModified("email");
+    lead.markModified("phone");
+    await lead.save();
+    count++;
+  }
+
+  console.log(`✅ Normalized ${count} leads`);
+  await closeDB();
+};
+
+run().catch(async (error) => {
+  console.error("❌ Failed to normalize leads:", error.message);
+  await closeDB();
+  process.exit(1);
+});
@@ -5,9 +5,34 @@ const helmet = require("helmet");
 const morgan = require("morgan");
 const mongoose = require("mongoose");
 const { connectDB, closeDB } = require("./src/config/database");
+const webhookWorker = require("./src/workers/webhook.worker");
+const taskWorker = require("./src/workers/task.worker");
+const slaWorker = require("./src/workers/sla.worker");
+const scoringWorker = require("./src/workers/scoring.worker");
+const outboundWorker = require("./src/workers/outbound.worker");
+const webhookDeliveriesService = require("./src/services/webhookDeliveries.service");
+const leadStreamService = require("./src/services/leadStream.service");
+const notificationsService = require("./src/services/notifications.service");
 
 // Import routes
+const authRoutes = require("./src/routes/auth.routes");
+const usersRoutes = require("./src/routes/users.routes");
 const leadsRoutes = require("./src/routes/leads.routes");
+const assignmentRoutes = require("./src/routes/assignment.routes");
+const scoringRoutes = require("./src/routes/scoring.routes");
+const slaRoutes = require("./src/routes/sla.routes");
+const reportsRoutes = require("./src/routes/reports.routes");
+const adSpendRoutes = require("./src/routes/adSpend.routes");
+const pipelinesRoutes = require("./src/routes/pipelines.routes");
+const tagsRoutes = require("./src/routes/tags.routes");
+const tasksRoutes = require("./src/routes/tasks.routes");
+const webhookJobsRoutes = require("./src/routes/webhookJobs.routes");
+const webhookLogsRoutes = require("./src/routes/webhookLogs.routes");
+const webhookSubscriptionsRoutes = require("./src/routes/webhookSubscriptions.routes");
+const webhookDeliveriesRoutes = require("./src/routes/webhookDeliveries.routes");
+const backfillRoutes = require("./src/routes/backfill.routes");
+const streamRoutes = require("./src/routes/stream.routes");
+const notificationsRoutes = require("./src/routes/notifications.routes");
 const webhooksRoutes = require("./src/routes/webhooks.routes");
 
 const app = express();
@@ -49,7 +74,24 @@ app.use(express.json({ limit: "1mb" }));
 app.use(express.urlencoded({ extended: true, limit: "1mb" }));
 
 // Routes
+app.use("/api/auth", authRoutes);
+app.use("/api/users", usersRoutes);
 app.use("/api/leads", leadsRoutes);
+app.use("/api/assignment-rules", assignmentRoutes);
+app.use("/api/scoring-rules", scoringRoutes);
+app.use("/api/sla-policies", slaRoutes);
+app.use("/api/reports", reportsRoutes);
+app.use("/api/ad-spend", adSpendRoutes);
+app.use("/api/pipelines", pipelinesRoutes);
+app.use("/api/tags", tagsRoutes);
+app.use("/api/tasks", tasksRoutes);
+app.use("/api/webhook-jobs", webhookJobsRoutes);
+app.use("/api/webhook-logs", webhookLogsRoutes);
+app.use("/api/webhook-subscriptions", webhookSubscriptionsRoutes);
+app.use("/api/webhook-deliveries", webhookDeliveriesRoutes);
+app.use("/api/backfill", backfillRoutes);
+app.use("/api/stream", streamRoutes);
+app.use("/api/notifications", notificationsRoutes);
 app.use("/webhooks", webhooksRoutes);
 
 // Health check with database status
@@ -99,12 +141,44 @@ const server = app.listen(PORT, () => {
   console.log(`🔍 Health check: GET /health`);
 });
 
+// Background processing of queued webhook events
+webhookWorker.start();
+
+// Task reminders and overdue tracking
+taskWorker.start();
+
+// Lead response SLA breach checks
+slaWorker.start();
+
+// Keeps recency-based lead scores current
+scoringWorker.start();
+
+// Lead and task events sent to outbound webhook subscribers
+webhookDeliveriesService.registerEventListeners();
+outboundWorker.start();
+
+// Live lead feed for dashboards
+leadStreamService.registerEventListeners();
+
+// Email and chat alerts for new leads
+notificationsService.registerEventListeners();
+
 // Graceful shutdown handling
 const gracefulShutdown = async (signal) => {
   console.log(`\n${signal} received. Starting graceful shutdown...`);
 
+  // Open event streams would keep the server from closing
+  leadStreamService.closeAll();
+
   server.close(async () => {
     console.log("✅ HTTP server closed");
+    await Promise.all([
+      webhookWorker.stop(),
+      taskWorker.stop(),
+      slaWorker.stop(),
+      scoringWorker.stop(),
+      outboundWorker.stop(),
+    ]);
     await closeDB();
     process.exit(0);
   });
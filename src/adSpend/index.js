@@ -0,0 +1,12 @@
+const metaFetcher = require("./meta.fetcher");
+const snapchatFetcher = require("./snapchat.fetcher");
+const tiktokFetcher = require("./tiktok.fetcher");
+
+// Ad spend fetchers, keyed by AdSpend.platform
+// Each exposes isConfigured() and fetchSpend({ since, until }) with
+// "YYYY-MM-DD" days, resolving to rows in the CSV upload format
+module.exports = {
+  meta: metaFetcher,
+  snapchat: snapchatFetcher,
+  tiktok: tiktokFetcher,
+};
@@ -0,0 +1,62 @@
+const axios = require("axios");
+
+// Point META_ADS_API_URL at a local stand-in to test without Meta
+const META_API_VERSION = "v24.0";
+const getBaseUrl = () =>
+  process.env.META_ADS_API_URL ||
+  `https://graph.facebook.com/${META_API_VERSION}`;
+
+const INSIGHT_FIELDS =
+  "campaign_id,campaign_name,adset_id,adset_name,spend,impressions,clicks,account_currency";
+const PAGE_SIZE = 500;
+
+/**
+ * Whether the Meta ad account is configured
+ */
+const isConfigured = () =>
+  Boolean(process.env.META_AD_ACCOUNT_ID && process.env.META_ACCESS_TOKEN);
+
+/**
+ * Fetch daily spend per ad set from the Meta Insights API
+ * Days are "YYYY-MM-DD" in the ad account's timezone
+ */
+const fetchSpend = async ({ since, until }) => {
+  const rows = [];
+  let url = `${getBaseUrl()}/act_${process.env.META_AD_ACCOUNT_ID}/insights`;
+  let params = {
+    access_token: process.env.META_ACCESS_TOKEN,
+    level: "adset",
+    fields: INSIGHT_FIELDS,
+    time_range: JSON.stringify({ since, until }),
+    time_increment: 1,
+    limit: PAGE_SIZE,
+  };
+
+  while (url) {
+    const response = await axios.get(url, { params, timeout: 30000 });
+    (response.data.data || []).forEach((insight) => {
+      rows.push({
+        date: insight.date_start,
+        campaignId: insight.campaign_id,
+        campaignName: insight.campaign_name,
+        adsetId: insight.adset_id,
+        adsetName: insight.adset_name,
+        spend: insight.spend,
+        currency: insight.account_currency,
+        impressions: insight.impressions,
+        clicks: insight.clicks,
+      });
+    });
+
+    // The next page URL already carries every parameter
+    url = response.data.paging?.next || null;
+    params = undefined;
+  }
+
+  return rows;
+};
+
+module.exports = {
+  isConfigured,
+  fetchSpend,
+};
@@ -0,0 +1,62 @@
+const axios = require("axios");
+
+// Point SNAPCHAT_ADS_API_URL at a local stand-in to test without Snapchat
+const getBaseUrl = () =>
+  process.env.SNAPCHAT_ADS_API_URL || "https://adsapi.snapchat.com/v1";
+
+// Snapchat reports spend in micro-currency
+const MICROS_PER_UNIT = 1000000;
+
+/**
+ * Whether the Snapchat ad account is configured
+ */
+const isConfigured = () =>
+  Boolean(
+    process.env.SNAPCHAT_AD_ACCOUNT_ID && process.env.SNAPCHAT_ACCESS_TOKEN,
+  );
+
+/**
+ * Fetch daily spend per campaign from the Snapchat stats API
+ */
+const fetchSpend = async ({ since, until }) => {
+  const response = await axios.get(
+    `${getBaseUrl()}/adaccounts/${process.env.SNAPCHAT_AD_ACCOUNT_ID}/stats`,
+    {
+      headers: { Authorization: `Bearer ${process.env.SNAPCHAT_ACCESS_TOKEN}` },
+      params: {
+        granularity: "DAY",
+        breakdown: "campaign",
+        fields: "spend,impressions,swipes",
+        start_time: `${since}T00:00:00Z`,
+        // End time is exclusive
+        end_time: new Date(
+          new Date(`${until}T00:00:00Z`).getTime() + 24 * 60 * 60 * 1000,
+        ).toISOString(),
+      },
+      timeout: 30000,
+    },
+  );
+
+  const rows = [];
+  (response.data.timeseries_stats || []).forEach(({ timeseries_stat }) => {
+    const campaigns = timeseries_stat?.breakdown_stats?.campaign || [];
+    campaigns.forEach((campaign) => {
+      (campaign.timeseries || []).forEach(({ start_time, stats }) => {
+        rows.push({
+          date: start_time.slice(0, 10),
+          campaignId: campaign.id,
+          spend: (stats.spend || 0) / MICROS_PER_UNIT,
+          impressions: stats.impressions,
+          clicks: stats.swipes,
+        });
+      });
+    });
+  });
+
+  return rows;
+};
+
+module.exports = {
+  isConfigured,
+  fetchSpend,
+};
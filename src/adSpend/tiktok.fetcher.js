@@ -0,0 +1,79 @@
+const axios = require("axios");
+
+// Point TIKTOK_ADS_API_URL at a local stand-in to test without TikTok
+const getBaseUrl = () =>
+  process.env.TIKTOK_ADS_API_URL ||
+  "https://business-api.tiktok.com/open_api/v1.3";
+
+const PAGE_SIZE = 1000;
+
+/**
+ * Whether the TikTok advertiser account is configured
+ */
+const isConfigured = () =>
+  Boolean(process.env.TIKTOK_ADVERTISER_ID && process.env.TIKTOK_ACCESS_TOKEN);
+
+/**
+ * Fetch daily spend per ad group from the TikTok reporting API
+ */
+const fetchSpend = async ({ since, until }) => {
+  const rows = [];
+  let page = 1;
+  let totalPages = 1;
+
+  do {
+    const response = await axios.get(`${getBaseUrl()}/report/integrated/get/`, {
+      headers: { "Access-Token": process.env.TIKTOK_ACCESS_TOKEN },
+      params: {
+        advertiser_id: process.env.TIKTOK_ADVERTISER_ID,
+        report_type: "BASIC",
+        data_level: "AUCTION_ADGROUP",
+        dimensions: JSON.stringify(["adgroup_id", "stat_time_day"]),
+        metrics: JSON.stringify([
+          "campaign_id",
+          "campaign_name",
+          "adgroup_name",
+          "spend",
+          "impressions",
+          "clicks",
+          "currency",
+        ]),
+        start_date: since,
+        end_date: until,
+        page,
+        page_size: PAGE_SIZE,
+      },
+      timeout: 30000,
+    });
+
+    // TikTok reports errors in the body with HTTP 200
+    if (response.data.code !== 0) {
+      throw new Error(`TikTok API error: ${response.data.message}`);
+    }
+
+    (response.data.data?.list || []).forEach(({ dimensions, metrics }) => {
+      rows.push({
+        // "2024-01-31 00:00:00"
+        date: dimensions.stat_time_day.slice(0, 10),
+        campaignId: metrics.campaign_id,
+        campaignName: metrics.campaign_name,
+        adsetId: dimensions.adgroup_id,
+        adsetName: metrics.adgroup_name,
+        spend: metrics.spend,
+        currency: metrics.currency,
+        impressions: metrics.impressions,
+        clicks: metrics.clicks,
+      });
+    });
+
+    totalPages = response.data.data?.page_info?.total_page || 1;
+    page++;
+  } while (page <= totalPages);
+
+  return rows;
+};
+
+module.exports = {
+  isConfigured,
+  fetchSpend,
+};
@@ -0,0 +1,23 @@
+// Message templates for new lead notifications
+// {{field}} is replaced with the lead's field, e.g. {{customerName}},
+// {{customFields.city}}; {{leadUrl}} links to the lead in the dashboard
+module.exports = {
+  newLead: {
+    emailSubject: "New {{platform}} lead: {{customerName}}",
+    emailText: [
+      "A new lead just arrived.",
+      "",
+      "Name: {{customerName}}",
+      "Phone: {{phone}}",
+      "Email: {{email}}",
+      "Platform: {{platform}}",
+      "Campaign: {{campaignName}}",
+      "Form: {{formName}}",
+      "Received: {{receivedAt}}",
+      "",
+      "{{leadUrl}}",
+    ].join("\n"),
+    chatText:
+      "🆕 New {{platform}} lead: {{customerName}} ({{phone}}) from {{campaignName}} {{leadUrl}}",
+  },
+};
@@ -0,0 +1,60 @@
+const adSpendService = require("../services/adSpend.service");
+
+/**
+ * Get ad spend rows
+ * GET /api/ad-spend
+ */
+const getSpend = async (req, res, next) => {
+  try {
+    const filters = {
+      platform: req.query.platform,
+      campaignId: req.query.campaignId,
+      adsetId: req.query.adsetId,
+      fromDate: req.query.fromDate,
+      toDate: req.query.toDate,
+    };
+    const options = {
+      page: req.query.page,
+      limit: req.query.limit,
+    };
+
+    const result = await adSpendService.getSpend(filters, options);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Import daily ad spend from a CSV file
+ * POST /api/ad-spend/import
+ */
+const importSpend = async (req, res, next) => {
+  try {
+    const report = await adSpendService.importSpend(req.file, {
+      platform: req.body.platform,
+    });
+    res.status(201).json(report);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Pull daily ad spend from an ad platform
+ * POST /api/ad-spend/fetch
+ */
+const fetchSpend = async (req, res, next) => {
+  try {
+    const result = await adSpendService.fetchSpend(req.body);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getSpend,
+  importSpend,
+  fetchSpend,
+};
@@ -0,0 +1,60 @@
+const assignmentService = require("../services/assignment.service");
+
+/**
+ * Get all assignment rules
+ * GET /api/assignment-rules
+ */
+const getRules = async (req, res, next) => {
+  try {
+    const rules = await assignmentService.getRules();
+    res.json(rules);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create assignment rule
+ * POST /api/assignment-rules
+ */
+const createRule = async (req, res, next) => {
+  try {
+    const rule = await assignmentService.createRule(req.body);
+    res.status(201).json(rule);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update assignment rule
+ * PATCH /api/assignment-rules/:id
+ */
+const updateRule = async (req, res, next) => {
+  try {
+    const rule = await assignmentService.updateRule(req.params.id, req.body);
+    res.json(rule);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete assignment rule
+ * DELETE /api/assignment-rules/:id
+ */
+const deleteRule = async (req, res, next) => {
+  try {
+    await assignmentService.deleteRule(req.params.id);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+};
@@ -0,0 +1,42 @@
+const authService = require("../services/auth.service");
+const usersService = require("../services/users.service");
+
+/**
+ * Log in and receive access token
+ * POST /api/auth/login
+ */
+const login = async (req, res, next) => {
+  try {
+    const result = await authService.login(req.body.email, req.body.password);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get current user
+ * GET /api/auth/me
+ */
+const getMe = async (req, res) => {
+  res.json(req.user);
+};
+
+/**
+ * Update current user's name or timezone
+ * PATCH /api/auth/me
+ */
+const updateMe = async (req, res, next) => {
+  try {
+    const user = await usersService.updateProfile(req.user, req.body);
+    res.json(user);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  login,
+  getMe,
+  updateMe,
+};
@@ -0,0 +1,18 @@
+const backfillService = require("../services/backfill.service");
+
+/**
+ * Backfill Meta leads by form and date range
+ * POST /api/backfill/meta
+ */
+const backfillMeta = async (req, res, next) => {
+  try {
+    const result = await backfillService.backfillMeta(req.body);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  backfillMeta,
+};
@@ -1,4 +1,31 @@
 const leadsService = require("../services/leads.service");
+const activityService = require("../services/activity.service");
+const duplicatesService = require("../services/duplicates.service");
+const exportService = require("../services/export.service");
+const importService = require("../services/import.service");
+
+/**
+ * Read lead list filters from the query string
+ */
+const getLeadFilters = (req) => {
+  return {
+    platform: req.query.platform,
+    pipeline: req.query.pipeline,
+    status: req.query.status,
+    fromDate: req.query.fromDate,
+    toDate: req.query.toDate,
+    search: req.query.search,
+    phoneValid: req.query.phoneValid,
+    source: req.query.source,
+    tags: req.query.tags,
+    tagsMatch: req.query.tagsMatch,
+    minScore: req.query.minScore,
+    maxScore: req.query.maxScore,
+    slaStatus: req.query.slaStatus,
+    assignedTo:
+      req.query.assignedTo === "me" ? req.user.id : req.query.assignedTo,
+  };
+};
 
 /**
  * Get all leads
@@ -6,13 +33,7 @@ const leadsService = require("../services/leads.service");
  */
 const getLeads = async (req, res, next) => {
   try {
-    const filters = {
-      platform: req.query.platform,
-      status: req.query.status,
-      fromDate: req.query.fromDate,
-      toDate: req.query.toDate,
-      search: req.query.search,
-    };
+    const filters = getLeadFilters(req);
 
     const options = {
       page: req.query.page,
@@ -28,6 +49,62 @@ const getLeads = async (req, res, next) => {
   }
 };
 
+/**
+ * Export all leads matching the list filters
+ * GET /api/leads/export?format=csv|xlsx
+ */
+const exportLeads = async (req, res, next) => {
+  const format = req.query.format || "csv";
+
+  try {
+    const filters = getLeadFilters(req);
+    const options = {
+      sortBy: req.query.sortBy,
+      sortOrder: req.query.sortOrder,
+    };
+    const filename = `leads-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.setHeader(
+      "Content-Type",
+      format === "xlsx"
+        ? "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+        : "text/csv; charset=utf-8",
+    );
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+    await exportService.exportLeads(filters, options, format, res);
+  } catch (error) {
+    // Once streaming has started the only option is to abort the download
+    if (res.headersSent) {
+      console.error("Error exporting leads:", error.message);
+      return res.destroy(error);
+    }
+    res.removeHeader("Content-Type");
+    res.removeHeader("Content-Disposition");
+    next(error);
+  }
+};
+
+/**
+ * Import leads from an uploaded CSV file
+ * POST /api/leads/import (multipart: file, mapping, onDuplicate)
+ */
+const importLeads = async (req, res, next) => {
+  try {
+    const report = await importService.importLeads(
+      req.file,
+      {
+        mapping: req.body.mapping,
+        onDuplicate: req.body.onDuplicate,
+      },
+      req.user,
+    );
+    res.status(201).json(report);
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get lead by ID
  * GET /api/leads/:id
@@ -41,13 +118,30 @@ const getLeadById = async (req, res, next) => {
   }
 };
 
+/**
+ * Create lead entered by hand
+ * POST /api/leads
+ */
+const createLead = async (req, res, next) => {
+  try {
+    const result = await leadsService.createLead(req.body, req.user);
+    res.status(201).json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Update lead
  * PATCH /api/leads/:id
  */
 const updateLead = async (req, res, next) => {
   try {
-    const lead = await leadsService.updateLead(req.params.id, req.body);
+    const lead = await leadsService.updateLead(
+      req.params.id,
+      req.body,
+      req.user,
+    );
     res.json(lead);
   } catch (error) {
     next(error);
@@ -67,6 +161,78 @@ const deleteLead = async (req, res, next) => {
   }
 };
 
+/**
+ * Get lead activity timeline
+ * GET /api/leads/:id/activity
+ */
+const getLeadActivity = async (req, res, next) => {
+  try {
+    const filters = {
+      type: req.query.type,
+    };
+    const options = {
+      page: req.query.page,
+      limit: req.query.limit,
+    };
+    const result = await activityService.getLeadActivity(
+      req.params.id,
+      filters,
+      options,
+    );
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get possible duplicates of a lead
+ * GET /api/leads/:id/duplicates
+ */
+const getDuplicates = async (req, res, next) => {
+  try {
+    const duplicates = await duplicatesService.getDuplicates(req.params.id);
+    res.json(duplicates);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Merge a duplicate lead into this lead
+ * POST /api/leads/:id/merge
+ */
+const mergeLead = async (req, res, next) => {
+  try {
+    const lead = await duplicatesService.mergeLeads(
+      req.params.id,
+      req.body.duplicateId,
+      req.user,
+    );
+    res.json(lead);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Apply one action to many leads
+ * POST /api/leads/bulk
+ */
+const bulkUpdateLeads = async (req, res, next) => {
+  try {
+    const data = { ...req.body };
+    if (data.filters?.assignedTo === "me") {
+      data.filters = { ...data.filters, assignedTo: req.user.id };
+    }
+
+    const result = await leadsService.bulkUpdateLeads(data, req.user);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get lead statistics
  * GET /api/leads/stats
@@ -76,8 +242,10 @@ const getLeadStats = async (req, res, next) => {
     const filters = {
       fromDate: req.query.fromDate,
       toDate: req.query.toDate,
+      pipeline: req.query.pipeline,
+      tz: req.query.tz,
     };
-    const stats = await leadsService.getLeadStats(filters);
+    const stats = await leadsService.getLeadStats(filters, req.user);
     res.json(stats);
   } catch (error) {
     next(error);
@@ -85,7 +253,7 @@ const getLeadStats = async (req, res, next) => {
 };
 
 /**
- * Get leads by date for charts
+ * Get leads per hour, day, week or month for charts
  * GET /api/leads/chart
  */
 const getLeadsByDate = async (req, res, next) => {
@@ -94,8 +262,10 @@ const getLeadsByDate = async (req, res, next) => {
       fromDate: req.query.fromDate,
       toDate: req.query.toDate,
       platform: req.query.platform,
+      granularity: req.query.granularity,
+      tz: req.query.tz,
     };
-    const data = await leadsService.getLeadsByDate(filters);
+    const data = await leadsService.getLeadsByDate(filters, req.user);
     res.json(data);
   } catch (error) {
     next(error);
@@ -104,9 +274,16 @@ const getLeadsByDate = async (req, res, next) => {
 
 module.exports = {
   getLeads,
+  exportLeads,
+  importLeads,
   getLeadById,
+  createLead,
   updateLead,
   deleteLead,
+  bulkUpdateLeads,
+  getLeadActivity,
+  getDuplicates,
+  mergeLead,
   getLeadStats,
   getLeadsByDate,
 };
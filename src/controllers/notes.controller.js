@@ -0,0 +1,53 @@
+const notesService = require("../services/notes.service");
+
+/**
+ * Get lead notes and interactions
+ * GET /api/leads/:id/notes
+ */
+const getNotes = async (req, res, next) => {
+  try {
+    const filters = {
+      type: req.query.type,
+    };
+    const options = {
+      page: req.query.page,
+      limit: req.query.limit,
+    };
+    const result = await notesService.getNotes(req.params.id, filters, options);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add note or interaction to lead
+ * POST /api/leads/:id/notes
+ */
+const addNote = async (req, res, next) => {
+  try {
+    const note = await notesService.addNote(req.params.id, req.body, req.user);
+    res.status(201).json(note);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete lead note
+ * DELETE /api/leads/:id/notes/:noteId
+ */
+const deleteNote = async (req, res, next) => {
+  try {
+    await notesService.deleteNote(req.params.id, req.params.noteId, req.user);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getNotes,
+  addNote,
+  deleteNote,
+};
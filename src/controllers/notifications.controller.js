@@ -0,0 +1,48 @@
+const notificationsService = require("../services/notifications.service");
+
+/**
+ * Get my notification preferences
+ * GET /api/notifications/preferences
+ */
+const getPreferences = async (req, res, next) => {
+  try {
+    res.json(req.user.notifications);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update my notification preferences
+ * PATCH /api/notifications/preferences
+ */
+const updatePreferences = async (req, res, next) => {
+  try {
+    const preferences = await notificationsService.updatePreferences(
+      req.user,
+      req.body,
+    );
+    res.json(preferences);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send myself a sample new-lead notification
+ * POST /api/notifications/test
+ */
+const sendTestNotification = async (req, res, next) => {
+  try {
+    const result = await notificationsService.sendTestNotification(req.user);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getPreferences,
+  updatePreferences,
+  sendTestNotification,
+};
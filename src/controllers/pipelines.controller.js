@@ -0,0 +1,77 @@
+const pipelinesService = require("../services/pipelines.service");
+
+/**
+ * Get all pipelines
+ * GET /api/pipelines
+ */
+const getPipelines = async (req, res, next) => {
+  try {
+    const pipelines = await pipelinesService.getPipelines();
+    res.json(pipelines);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get pipeline by ID
+ * GET /api/pipelines/:id
+ */
+const getPipelineById = async (req, res, next) => {
+  try {
+    const pipeline = await pipelinesService.getPipelineById(req.params.id);
+    res.json(pipeline);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create pipeline
+ * POST /api/pipelines
+ */
+const createPipeline = async (req, res, next) => {
+  try {
+    const pipeline = await pipelinesService.createPipeline(req.body);
+    res.status(201).json(pipeline);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update pipeline
+ * PATCH /api/pipelines/:id
+ */
+const updatePipeline = async (req, res, next) => {
+  try {
+    const pipeline = await pipelinesService.updatePipeline(
+      req.params.id,
+      req.body,
+    );
+    res.json(pipeline);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete pipeline
+ * DELETE /api/pipelines/:id
+ */
+const deletePipeline = async (req, res, next) => {
+  try {
+    await pipelinesService.deletePipeline(req.params.id);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getPipelines,
+  getPipelineById,
+  createPipeline,
+  updatePipeline,
+  deletePipeline,
+};
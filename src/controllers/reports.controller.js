@@ -0,0 +1,135 @@
+const reportsService = require("../services/reports.service");
+
+/**
+ * Extract performance report filters from the request
+ */
+const getReportFilters = (req) => {
+  return {
+    platform: req.query.platform,
+    campaignId: req.query.campaignId,
+    adsetId: req.query.adsetId,
+    formId: req.query.formId,
+    fromDate: req.query.fromDate,
+    toDate: req.query.toDate,
+    tz: req.query.tz,
+  };
+};
+
+/**
+ * Send the performance report for one level
+ */
+const sendPerformanceReport = async (level, req, res, next) => {
+  try {
+    const report = await reportsService.getPerformanceReport(
+      level,
+      getReportFilters(req),
+      req.user,
+    );
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get stage conversion rates and time between stages
+ * GET /api/reports/funnel
+ */
+const getFunnel = async (req, res, next) => {
+  try {
+    const filters = {
+      pipeline: req.query.pipeline,
+      platform: req.query.platform,
+      campaignId: req.query.campaignId,
+      formId: req.query.formId,
+      fromDate: req.query.fromDate,
+      toDate: req.query.toDate,
+      groupBy: req.query.groupBy,
+      tz: req.query.tz,
+    };
+    const funnel = await reportsService.getFunnel(filters, req.user);
+    res.json(funnel);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get performance per campaign
+ * GET /api/reports/campaigns
+ */
+const getCampaignReport = (req, res, next) =>
+  sendPerformanceReport("campaign", req, res, next);
+
+/**
+ * Get performance per ad set
+ * GET /api/reports/adsets
+ */
+const getAdsetReport = (req, res, next) =>
+  sendPerformanceReport("adset", req, res, next);
+
+/**
+ * Get performance per ad
+ * GET /api/reports/ads
+ */
+const getAdReport = (req, res, next) =>
+  sendPerformanceReport("ad", req, res, next);
+
+/**
+ * Get performance per lead form
+ * GET /api/reports/forms
+ */
+const getFormReport = (req, res, next) =>
+  sendPerformanceReport("form", req, res, next);
+
+/**
+ * Get ad spend with cost per lead and cost per conversion
+ * GET /api/reports/cost
+ */
+const getCostReport = async (req, res, next) => {
+  try {
+    const filters = {
+      platform: req.query.platform,
+      campaignId: req.query.campaignId,
+      adsetId: req.query.adsetId,
+      fromDate: req.query.fromDate,
+      toDate: req.query.toDate,
+      groupBy: req.query.groupBy,
+      tz: req.query.tz,
+    };
+    const report = await reportsService.getCostReport(filters, req.user);
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get response SLA compliance per agent and platform
+ * GET /api/reports/sla
+ */
+const getSlaReport = async (req, res, next) => {
+  try {
+    const filters = {
+      platform: req.query.platform,
+      campaignId: req.query.campaignId,
+      fromDate: req.query.fromDate,
+      toDate: req.query.toDate,
+      tz: req.query.tz,
+    };
+    const report = await reportsService.getSlaReport(filters, req.user);
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getFunnel,
+  getCostReport,
+  getSlaReport,
+  getCampaignReport,
+  getAdsetReport,
+  getAdReport,
+  getFormReport,
+};
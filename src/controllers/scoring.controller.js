@@ -0,0 +1,74 @@
+const scoringService = require("../services/scoring.service");
+
+/**
+ * Get all scoring rules
+ * GET /api/scoring-rules
+ */
+const getRules = async (req, res, next) => {
+  try {
+    const rules = await scoringService.getRules();
+    res.json(rules);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create scoring rule
+ * POST /api/scoring-rules
+ */
+const createRule = async (req, res, next) => {
+  try {
+    const rule = await scoringService.createRule(req.body);
+    res.status(201).json(rule);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update scoring rule
+ * PATCH /api/scoring-rules/:id
+ */
+const updateRule = async (req, res, next) => {
+  try {
+    const rule = await scoringService.updateRule(req.params.id, req.body);
+    res.json(rule);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete scoring rule
+ * DELETE /api/scoring-rules/:id
+ */
+const deleteRule = async (req, res, next) => {
+  try {
+    await scoringService.deleteRule(req.params.id);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Recompute every lead's score with the current rules
+ * POST /api/scoring-rules/recompute
+ */
+const recomputeScores = async (req, res, next) => {
+  try {
+    const result = await scoringService.recomputeAllScores();
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  recomputeScores,
+};
@@ -0,0 +1,60 @@
+const slaService = require("../services/sla.service");
+
+/**
+ * Get all SLA policies
+ * GET /api/sla-policies
+ */
+const getPolicies = async (req, res, next) => {
+  try {
+    const policies = await slaService.getPolicies();
+    res.json(policies);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create SLA policy
+ * POST /api/sla-policies
+ */
+const createPolicy = async (req, res, next) => {
+  try {
+    const policy = await slaService.createPolicy(req.body);
+    res.status(201).json(policy);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update SLA policy
+ * PATCH /api/sla-policies/:id
+ */
+const updatePolicy = async (req, res, next) => {
+  try {
+    const policy = await slaService.updatePolicy(req.params.id, req.body);
+    res.json(policy);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete SLA policy
+ * DELETE /api/sla-policies/:id
+ */
+const deletePolicy = async (req, res, next) => {
+  try {
+    await slaService.deletePolicy(req.params.id);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getPolicies,
+  createPolicy,
+  updatePolicy,
+  deletePolicy,
+};
@@ -0,0 +1,22 @@
+const leadStreamService = require("../services/leadStream.service");
+
+/**
+ * Stream lead events as Server-Sent Events
+ * GET /api/stream/leads
+ */
+const streamLeads = (req, res, next) => {
+  try {
+    const filters = {
+      platform: req.query.platform,
+      assignedTo:
+        req.query.assignedTo === "me" ? req.user.id : req.query.assignedTo,
+    };
+    leadStreamService.addClient(req, res, filters);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  streamLeads,
+};
@@ -0,0 +1,96 @@
+const tagsService = require("../services/tags.service");
+
+/**
+ * Get tag catalogue
+ * GET /api/tags
+ */
+const getTags = async (req, res, next) => {
+  try {
+    const tags = await tagsService.getTags();
+    res.json(tags);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create tag
+ * POST /api/tags
+ */
+const createTag = async (req, res, next) => {
+  try {
+    const tag = await tagsService.createTag(req.body);
+    res.status(201).json(tag);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update tag
+ * PATCH /api/tags/:id
+ */
+const updateTag = async (req, res, next) => {
+  try {
+    const tag = await tagsService.updateTag(req.params.id, req.body);
+    res.json(tag);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete tag
+ * DELETE /api/tags/:id
+ */
+const deleteTag = async (req, res, next) => {
+  try {
+    await tagsService.deleteTag(req.params.id);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add tags to a lead
+ * POST /api/leads/:id/tags
+ */
+const addLeadTags = async (req, res, next) => {
+  try {
+    const lead = await tagsService.addLeadTags(
+      req.params.id,
+      req.body?.tags,
+      req.user,
+    );
+    res.json(lead);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a tag from a lead
+ * DELETE /api/leads/:id/tags/:tagId
+ */
+const removeLeadTag = async (req, res, next) => {
+  try {
+    const lead = await tagsService.removeLeadTag(
+      req.params.id,
+      req.params.tagId,
+      req.user,
+    );
+    res.json(lead);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTags,
+  createTag,
+  updateTag,
+  deleteTag,
+  addLeadTags,
+  removeLeadTag,
+};
@@ -0,0 +1,138 @@
+const tasksService = require("../services/tasks.service");
+
+/**
+ * Get tasks with filters
+ * GET /api/tasks
+ */
+const getTasks = async (req, res, next) => {
+  try {
+    const filters = {
+      assignee: req.query.assignee === "me" ? req.user.id : req.query.assignee,
+      lead: req.query.lead,
+      type: req.query.type,
+      done: req.query.done,
+      overdue: req.query.overdue,
+      dueFrom: req.query.dueFrom,
+      dueTo: req.query.dueTo,
+    };
+    const options = {
+      page: req.query.page,
+      limit: req.query.limit,
+    };
+    const result = await tasksService.getTasks(filters, options);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's overdue tasks
+ * GET /api/tasks/overdue
+ */
+const getOverdueTasks = async (req, res, next) => {
+  try {
+    const options = {
+      page: req.query.page,
+      limit: req.query.limit,
+    };
+    const result = await tasksService.getOverdueTasks(req.user, options);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update task
+ * PATCH /api/tasks/:id
+ */
+const updateTask = async (req, res, next) => {
+  try {
+    const task = await tasksService.updateTask(
+      req.params.id,
+      req.body,
+      req.user,
+    );
+    res.json(task);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark task as done
+ * POST /api/tasks/:id/complete
+ */
+const completeTask = async (req, res, next) => {
+  try {
+    const task = await tasksService.completeTask(req.params.id, req.user);
+    res.json(task);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete task
+ * DELETE /api/tasks/:id
+ */
+const deleteTask = async (req, res, next) => {
+  try {
+    await tasksService.deleteTask(req.params.id, req.user);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get tasks of a lead
+ * GET /api/leads/:id/tasks
+ */
+const getLeadTasks = async (req, res, next) => {
+  try {
+    const filters = {
+      done: req.query.done,
+    };
+    const options = {
+      page: req.query.page,
+      limit: req.query.limit,
+    };
+    const result = await tasksService.getLeadTasks(
+      req.params.id,
+      filters,
+      options,
+    );
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create task on a lead
+ * POST /api/leads/:id/tasks
+ */
+const createTask = async (req, res, next) => {
+  try {
+    const task = await tasksService.createTask(
+      req.params.id,
+      req.body,
+      req.user,
+    );
+    res.status(201).json(task);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTasks,
+  getOverdueTasks,
+  updateTask,
+  completeTask,
+  deleteTask,
+  getLeadTasks,
+  createTask,
+};
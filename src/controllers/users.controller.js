@@ -0,0 +1,64 @@
+const usersService = require("../services/users.service");
+
+/**
+ * Get all users
+ * GET /api/users
+ */
+const getUsers = async (req, res, next) => {
+  try {
+    const filters = {
+      role: req.query.role,
+      active: req.query.active,
+    };
+    const users = await usersService.getUsers(filters);
+    res.json(users);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get user by ID
+ * GET /api/users/:id
+ */
+const getUserById = async (req, res, next) => {
+  try {
+    const user = await usersService.getUserById(req.params.id);
+    res.json(user);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create user
+ * POST /api/users
+ */
+const createUser = async (req, res, next) => {
+  try {
+    const user = await usersService.createUser(req.body);
+    res.status(201).json(user);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update user
+ * PATCH /api/users/:id
+ */
+const updateUser = async (req, res, next) => {
+  try {
+    const user = await usersService.updateUser(req.params.id, req.body);
+    res.json(user);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getUsers,
+  getUserById,
+  createUser,
+  updateUser,
+};
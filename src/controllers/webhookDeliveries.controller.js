@@ -0,0 +1,60 @@
+const webhookDeliveriesService = require("../services/webhookDeliveries.service");
+
+/**
+ * Get outbound webhook delivery log
+ * GET /api/webhook-deliveries
+ */
+const getDeliveries = async (req, res, next) => {
+  try {
+    const filters = {
+      status: req.query.status,
+      subscription: req.query.subscription,
+      event: req.query.event,
+    };
+    const options = {
+      page: req.query.page,
+      limit: req.query.limit,
+    };
+    const result = await webhookDeliveriesService.getDeliveries(
+      filters,
+      options,
+    );
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get delivery with payload and attempt history
+ * GET /api/webhook-deliveries/:id
+ */
+const getDeliveryById = async (req, res, next) => {
+  try {
+    const delivery = await webhookDeliveriesService.getDeliveryById(
+      req.params.id,
+    );
+    res.json(delivery);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a delivery again
+ * POST /api/webhook-deliveries/:id/redeliver
+ */
+const redeliver = async (req, res, next) => {
+  try {
+    const delivery = await webhookDeliveriesService.redeliver(req.params.id);
+    res.json(delivery);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getDeliveries,
+  getDeliveryById,
+  redeliver,
+};
@@ -0,0 +1,54 @@
+const webhookJobsService = require("../services/webhookJobs.service");
+
+/**
+ * Get webhook jobs
+ * GET /api/webhook-jobs
+ */
+const getJobs = async (req, res, next) => {
+  try {
+    const filters = {
+      status: req.query.status,
+      platform: req.query.platform,
+    };
+    const options = {
+      page: req.query.page,
+      limit: req.query.limit,
+    };
+    const result = await webhookJobsService.getJobs(filters, options);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get webhook job by ID
+ * GET /api/webhook-jobs/:id
+ */
+const getJobById = async (req, res, next) => {
+  try {
+    const job = await webhookJobsService.getJobById(req.params.id);
+    res.json(job);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Retry a dead webhook job
+ * POST /api/webhook-jobs/:id/retry
+ */
+const retryJob = async (req, res, next) => {
+  try {
+    const job = await webhookJobsService.retryJob(req.params.id);
+    res.json(job);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getJobs,
+  getJobById,
+  retryJob,
+};
@@ -0,0 +1,59 @@
+const webhookLogsService = require("../services/webhookLogs.service");
+
+/**
+ * Get webhook logs
+ * GET /api/webhook-logs
+ */
+const getLogs = async (req, res, next) => {
+  try {
+    const filters = {
+      platform: req.query.platform,
+      processed: req.query.processed,
+      hasError: req.query.hasError,
+      eventType: req.query.eventType,
+      leadId: req.query.leadId,
+      fromDate: req.query.fromDate,
+      toDate: req.query.toDate,
+    };
+    const options = {
+      page: req.query.page,
+      limit: req.query.limit,
+    };
+    const result = await webhookLogsService.getLogs(filters, options);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get webhook log by ID
+ * GET /api/webhook-logs/:id
+ */
+const getLogById = async (req, res, next) => {
+  try {
+    const log = await webhookLogsService.getLogById(req.params.id);
+    res.json(log);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replay stored webhook payload
+ * POST /api/webhook-logs/:id/replay
+ */
+const replayLog = async (req, res, next) => {
+  try {
+    const result = await webhookLogsService.replayLog(req.params.id);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getLogs,
+  getLogById,
+  replayLog,
+};
@@ -0,0 +1,99 @@
+const webhookSubscriptionsService = require("../services/webhookSubscriptions.service");
+const webhookDeliveriesService = require("../services/webhookDeliveries.service");
+
+/**
+ * Get all outbound webhook subscriptions
+ * GET /api/webhook-subscriptions
+ */
+const getSubscriptions = async (req, res, next) => {
+  try {
+    const subscriptions = await webhookSubscriptionsService.getSubscriptions();
+    res.json(subscriptions);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get subscription by ID
+ * GET /api/webhook-subscriptions/:id
+ */
+const getSubscriptionById = async (req, res, next) => {
+  try {
+    const subscription = await webhookSubscriptionsService.getSubscriptionById(
+      req.params.id,
+    );
+    res.json(subscription);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create subscription
+ * POST /api/webhook-subscriptions
+ */
+const createSubscription = async (req, res, next) => {
+  try {
+    const subscription = await webhookSubscriptionsService.createSubscription(
+      req.body,
+      req.user,
+    );
+    res.status(201).json(subscription);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update subscription
+ * PATCH /api/webhook-subscriptions/:id
+ */
+const updateSubscription = async (req, res, next) => {
+  try {
+    const subscription = await webhookSubscriptionsService.updateSubscription(
+      req.params.id,
+      req.body,
+    );
+    res.json(subscription);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete subscription
+ * DELETE /api/webhook-subscriptions/:id
+ */
+const deleteSubscription = async (req, res, next) => {
+  try {
+    await webhookSubscriptionsService.deleteSubscription(req.params.id);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a test ping to the subscriber
+ * POST /api/webhook-subscriptions/:id/ping
+ */
+const pingSubscription = async (req, res, next) => {
+  try {
+    const delivery = await webhookDeliveriesService.pingSubscription(
+      req.params.id,
+    );
+    res.status(202).json(delivery);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getSubscriptions,
+  getSubscriptionById,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  pingSubscription,
+};
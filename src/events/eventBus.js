@@ -0,0 +1,22 @@
+const { EventEmitter } = require("events");
+
+// In-process event bus: services emit what happened, features subscribe to it
+const eventBus = new EventEmitter();
+eventBus.setMaxListeners(50);
+
+/**
+ * Emit an event without letting a failing listener break the caller
+ * Async listeners must catch their own errors
+ */
+const emitEvent = (name, payload) => {
+  try {
+    eventBus.emit(name, payload);
+  } catch (error) {
+    console.error(`⚠️ Listener for ${name} failed:`, error.message);
+  }
+};
+
+module.exports = {
+  eventBus,
+  emitEvent,
+};
@@ -0,0 +1,59 @@
+const authService = require("../services/auth.service");
+const { createError } = require("../utils/errors");
+
+/**
+ * Require a valid Bearer token and attach the user to req.user
+ */
+const authenticate = async (req, res, next) => {
+  try {
+    const header = req.headers.authorization || "";
+    const [scheme, token] = header.split(" ");
+
+    if (scheme !== "Bearer" || !token) {
+      throw createError("Authentication required", 401);
+    }
+
+    req.user = await authService.verifyToken(token);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Like authenticate, but also accepts the token as ?access_token=
+ * for clients that cannot set headers (browser EventSource)
+ */
+const authenticateStream = (req, res, next) => {
+  const token = req.query.access_token;
+  if (!req.headers.authorization && typeof token === "string") {
+    req.headers.authorization = `Bearer ${token}`;
+    // Keep the token out of request logs
+    req.originalUrl = req.originalUrl.replace(
+      /([?&])access_token=[^&]*/,
+      "$1access_token=[redacted]",
+    );
+  }
+  return authenticate(req, res, next);
+};
+
+/**
+ * Restrict route to the given roles (use after authenticate)
+ */
+const authorize = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(createError("Authentication required", 401));
+    }
+    if (!roles.includes(req.user.role)) {
+      return next(createError("You do not have permission to do this", 403));
+    }
+    next();
+  };
+};
+
+module.exports = {
+  authenticate,
+  authenticateStream,
+  authorize,
+};
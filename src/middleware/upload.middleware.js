@@ -0,0 +1,31 @@
+const multer = require("multer");
+const { createError } = require("../utils/errors");
+
+const MAX_CSV_SIZE_BYTES = 5 * 1024 * 1024;
+
+const csvMulter = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_CSV_SIZE_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const isCsv =
+      /\.csv$/i.test(file.originalname) ||
+      ["text/csv", "application/vnd.ms-excel"].includes(file.mimetype);
+    cb(isCsv ? null : createError("Only CSV files are accepted", 400), isCsv);
+  },
+});
+
+/**
+ * Accept a single CSV file in the "file" field of a multipart form
+ */
+const csvUpload = (req, res, next) => {
+  csvMulter.single("file")(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return next(createError(`Upload failed: ${error.message}`, 400));
+    }
+    next(error);
+  });
+};
+
+module.exports = {
+  csvUpload,
+};
@@ -0,0 +1,81 @@
+const mongoose = require("mongoose");
+
+// Ad platforms spend can be recorded for
+const PLATFORMS = ["meta", "snapchat", "tiktok"];
+
+// How a spend row was recorded
+const SOURCES = ["csv", "api"];
+
+const adSpendSchema = new mongoose.Schema(
+  {
+    platform: {
+      type: String,
+      enum: PLATFORMS,
+      required: true,
+    },
+    // Day the money was spent (midnight UTC)
+    date: {
+      type: Date,
+      required: true,
+    },
+    campaignId: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    campaignName: {
+      type: String,
+      trim: true,
+    },
+    // Unset when spend is only known per campaign
+    adsetId: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    adsetName: {
+      type: String,
+      trim: true,
+    },
+    spend: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    impressions: {
+      type: Number,
+      min: 0,
+    },
+    clicks: {
+      type: Number,
+      min: 0,
+    },
+    source: {
+      type: String,
+      enum: SOURCES,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// One row per campaign (or ad set) and day; uploads and fetches replace it
+adSpendSchema.index(
+  { platform: 1, campaignId: 1, adsetId: 1, date: 1 },
+  { unique: true },
+);
+adSpendSchema.index({ date: 1 });
+
+const AdSpend = mongoose.model("AdSpend", adSpendSchema);
+
+AdSpend.PLATFORMS = PLATFORMS;
+AdSpend.SOURCES = SOURCES;
+
+module.exports = AdSpend;
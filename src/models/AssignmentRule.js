@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+const Lead = require("./Lead");
+
+const STRATEGIES = ["round_robin", "least_loaded"];
+
+const assignmentRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    // Rules are evaluated from highest to lowest priority
+    priority: {
+      type: Number,
+      default: 0,
+    },
+
+    // Match conditions (unset condition matches any lead)
+    platform: {
+      type: String,
+      enum: Lead.PLATFORMS,
+    },
+    campaignId: {
+      type: String,
+    },
+    formId: {
+      type: String,
+    },
+
+    // How to pick an agent from the pool
+    strategy: {
+      type: String,
+      enum: STRATEGIES,
+      default: "round_robin",
+    },
+    // Agent pool (empty means every active agent)
+    agents: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  },
+);
+
+assignmentRuleSchema.index({ active: 1, priority: -1 });
+
+const AssignmentRule = mongoose.model("AssignmentRule", assignmentRuleSchema);
+
+AssignmentRule.STRATEGIES = STRATEGIES;
+
+module.exports = AssignmentRule;
@@ -1,11 +1,25 @@
 const mongoose = require("mongoose");
+const {
+  normalizeEmail,
+  parsePhone,
+  normalizePhone,
+} = require("../utils/normalize");
+
+// Ad platforms plus leads entered by hand or imported from files
+const PLATFORMS = ["meta", "snapchat", "tiktok", "manual", "import"];
+
+// How a manually entered lead reached us
+const SOURCES = ["phone", "walk-in", "referral", "website"];
+
+// Response-time SLA state of a lead
+const SLA_STATUSES = ["pending", "met", "breached"];
 
 const leadSchema = new mongoose.Schema(
   {
     // Platform identification
     platform: {
       type: String,
-      enum: ["meta", "snapchat", "tiktok"],
+      enum: PLATFORMS,
       required: true,
       index: true,
     },
@@ -13,6 +27,16 @@ const leadSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // Channel of a manually entered lead (platform "manual")
+    source: {
+      type: String,
+      enum: SOURCES,
+    },
+    // Import run that created the lead (platform "import")
+    importBatch: {
+      type: String,
+      index: true,
+    },
     formId: {
       type: String,
     },
@@ -59,10 +83,70 @@ const leadSchema = new mongoose.Schema(
       trim: true,
       lowercase: true,
     },
+    // Phone exactly as the customer typed it
     phone: {
       type: String,
       trim: true,
     },
+    phoneE164: {
+      type: String,
+      index: true,
+    },
+    phoneCountry: {
+      type: String,
+    },
+    // false when the number cannot be dialled (null when there is no phone)
+    phoneValid: {
+      type: Boolean,
+      default: null,
+    },
+    // Country inferred from campaign targeting, used to read local numbers
+    country: {
+      type: String,
+      uppercase: true,
+    },
+
+    // Matching keys for cross-platform duplicate detection
+    normalizedEmail: {
+      type: String,
+      index: true,
+    },
+    normalizedPhone: {
+      type: String,
+      index: true,
+    },
+    // Earlier lead with the same email or phone, set when this one arrived
+    duplicateOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Lead",
+      default: null,
+    },
+    // Attribution of leads that were merged into this one
+    sources: [
+      {
+        _id: false,
+        mergedFrom: mongoose.Schema.Types.ObjectId,
+        mergedAt: Date,
+        mergedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        platform: String,
+        platformLeadId: String,
+        formId: String,
+        formName: String,
+        adId: String,
+        adName: String,
+        adsetId: String,
+        adsetName: String,
+        campaignId: String,
+        campaignName: String,
+        pageId: String,
+        customFields: mongoose.Schema.Types.Mixed,
+        platformCreatedAt: Date,
+        receivedAt: Date,
+      },
+    ],
 
     // Additional fields from the form
     customFields: {
@@ -70,15 +154,97 @@ const leadSchema = new mongoose.Schema(
       default: {},
     },
 
-    // Lead status management
+    // Lead status management (status is a stage key of the lead's pipeline)
+    pipeline: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Pipeline",
+      index: true,
+    },
     status: {
       type: String,
-      enum: ["new", "contacted", "qualified", "converted", "lost"],
-      default: "new",
+      required: true,
       index: true,
     },
+    // Set when the lead is created and on every status change
+    // (no default: it would be applied to older leads when they are loaded)
+    statusChangedAt: {
+      type: Date,
+    },
 
-    // Internal notes
+    // Priority from the scoring rules (higher is hotter)
+    score: {
+      type: Number,
+      default: 0,
+      index: true,
+    },
+    // Rules that contributed to the score
+    scoreBreakdown: [
+      {
+        _id: false,
+        rule: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "ScoringRule",
+        },
+        name: String,
+        points: Number,
+      },
+    ],
+    scoredAt: {
+      type: Date,
+    },
+
+    // Sales agent who owns the lead
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+      index: true,
+    },
+    assignedAt: {
+      type: Date,
+    },
+
+    // First contact with the lead: a status change or a logged interaction
+    firstResponseAt: {
+      type: Date,
+      default: null,
+    },
+    firstResponseBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Time from receiving the lead to the first response
+    firstResponseMs: {
+      type: Number,
+    },
+    // Response-time SLA from the matching SLA policy (unset without one)
+    sla: {
+      policy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "SlaPolicy",
+      },
+      dueAt: Date,
+      status: {
+        type: String,
+        enum: SLA_STATUSES,
+      },
+      breachedAt: Date,
+      // Owner of the lead when the deadline passed unanswered
+      assigneeAtBreach: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    },
+
+    // Labels from the tag catalogue, e.g. "VIP" or "wrong number"
+    tags: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Tag",
+      },
+    ],
+
+    // Legacy free-text notes (new notes are stored as LeadNote entries)
     notes: {
       type: String,
     },
@@ -99,10 +265,51 @@ const leadSchema = new mongoose.Schema(
 
 // Compound index for deduplication
 leadSchema.index({ platform: 1, platformLeadId: 1 }, { unique: true });
+leadSchema.index({ "sources.platform": 1, "sources.platformLeadId": 1 });
+leadSchema.index({ tags: 1 });
+leadSchema.index({ "sla.status": 1, "sla.dueAt": 1 });
 
 // Text index for search
 leadSchema.index({ customerName: "text", email: "text", phone: "text" });
 
+/**
+ * Derive E.164 and matching fields from a raw phone
+ */
+const getPhoneFields = (phone, country) => {
+  const parsed = parsePhone(phone, country);
+  return {
+    phoneE164: parsed?.e164 || null,
+    phoneCountry: parsed?.country || null,
+    phoneValid: parsed ? parsed.valid : null,
+    normalizedPhone: normalizePhone(phone, country),
+  };
+};
+
+// Keep derived phone fields and duplicate matching keys in sync
+leadSchema.pre("save", function () {
+  if (this.isModified("email")) {
+    this.normalizedEmail = normalizeEmail(this.email);
+  }
+  if (this.isModified("phone") || this.isModified("country")) {
+    this.set(getPhoneFields(this.phone, this.country));
+  }
+});
+
+leadSchema.pre("findOneAndUpdate", function () {
+  const update = this.getUpdate();
+  const fields = update.$set || update;
+  if (fields.email !== undefined) {
+    fields.normalizedEmail = normalizeEmail(fields.email);
+  }
+  if (fields.phone !== undefined) {
+    Object.assign(fields, getPhoneFields(fields.phone, fields.country));
+  }
+});
+
 const Lead = mongoose.model("Lead", leadSchema);
 
+Lead.PLATFORMS = PLATFORMS;
+Lead.SOURCES = SOURCES;
+Lead.SLA_STATUSES = SLA_STATUSES;
+
 module.exports = Lead;
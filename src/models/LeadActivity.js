@@ -0,0 +1,74 @@
+const mongoose = require("mongoose");
+
+const ACTIVITY_TYPES = [
+  "created",
+  "reingested",
+  "status_changed",
+  "field_updated",
+  "note_added",
+  "note_deleted",
+  "assigned",
+  "merged",
+  "tag_added",
+  "tag_removed",
+  "task_created",
+  "task_completed",
+  "sla_breached",
+];
+
+const leadActivitySchema = new mongoose.Schema(
+  {
+    lead: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Lead",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ACTIVITY_TYPES,
+      required: true,
+    },
+    // User who made the change (null for webhooks and automation)
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    changes: [
+      {
+        _id: false,
+        field: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+leadActivitySchema.index({ lead: 1, createdAt: 1 });
+
+// Activity is an audit trail: entries can be added but never modified
+leadActivitySchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne"],
+  function () {
+    throw new Error("Lead activity is append-only");
+  },
+);
+
+leadActivitySchema.pre("save", function () {
+  if (!this.isNew) {
+    throw new Error("Lead activity is append-only");
+  }
+});
+
+const LeadActivity = mongoose.model("LeadActivity", leadActivitySchema);
+
+LeadActivity.TYPES = ACTIVITY_TYPES;
+
+module.exports = LeadActivity;
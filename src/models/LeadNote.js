@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+const NOTE_TYPES = ["note", "call", "whatsapp", "email", "meeting"];
+
+const leadNoteSchema = new mongoose.Schema(
+  {
+    lead: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Lead",
+      required: true,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: NOTE_TYPES,
+      default: "note",
+    },
+    body: {
+      type: String,
+      trim: true,
+      maxlength: 5000,
+    },
+    // Result of the interaction, e.g. "no answer", "interested"
+    outcome: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+    durationSeconds: {
+      type: Number,
+      min: 0,
+    },
+    // When the interaction happened (defaults to when it was logged)
+    occurredAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+leadNoteSchema.index({ lead: 1, occurredAt: -1 });
+
+const LeadNote = mongoose.model("LeadNote", leadNoteSchema);
+
+LeadNote.TYPES = NOTE_TYPES;
+
+module.exports = LeadNote;
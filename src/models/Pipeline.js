@@ -0,0 +1,77 @@
+const mongoose = require("mongoose");
+
+const STAGE_CATEGORIES = ["open", "won", "lost"];
+
+const stageSchema = new mongoose.Schema(
+  {
+    // Stored on leads as their status
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      match: /^[a-z0-9_-]+$/,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Whether leads in this stage are still being worked, converted or dropped
+    category: {
+      type: String,
+      enum: STAGE_CATEGORIES,
+      default: "open",
+    },
+    color: {
+      type: String,
+    },
+    // Stage keys a lead may move to from here (empty allows any stage)
+    transitionsTo: [String],
+  },
+  { _id: false },
+);
+
+const pipelineSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+    },
+    // Leads not matched by another pipeline go to the default one
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+    // Route new leads from these campaigns/forms into this pipeline
+    campaignIds: [String],
+    formIds: [String],
+    // Stages in pipeline order; the first stage is where new leads start
+    stages: {
+      type: [stageSchema],
+      validate: {
+        validator: (stages) => stages.length > 0,
+        message: "A pipeline needs at least one stage",
+      },
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Only one pipeline can be the default
+pipelineSchema.index(
+  { isDefault: 1 },
+  { unique: true, partialFilterExpression: { isDefault: true } },
+);
+
+const Pipeline = mongoose.model("Pipeline", pipelineSchema);
+
+Pipeline.STAGE_CATEGORIES = STAGE_CATEGORIES;
+
+module.exports = Pipeline;
@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+
+// Lead fields a rule can test, besides "customFields.<name>"
+const FIELDS = [
+  "platform",
+  "source",
+  "campaignId",
+  "campaignName",
+  "adsetId",
+  "adId",
+  "formId",
+  "country",
+  "phoneCountry",
+  // Derived values
+  "hasValidEmail",
+  "hasValidPhone",
+  "ageHours",
+];
+
+const OPERATORS = [
+  "equals",
+  "not_equals",
+  "in",
+  "contains",
+  "exists",
+  "gt",
+  "gte",
+  "lt",
+  "lte",
+];
+
+const scoringRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    // e.g. "customFields.budget", "platform", "hasValidPhone"
+    field: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    operator: {
+      type: String,
+      enum: OPERATORS,
+      required: true,
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    // Added to the score when the condition holds (may be negative)
+    points: {
+      type: Number,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+scoringRuleSchema.index({ active: 1 });
+
+const ScoringRule = mongoose.model("ScoringRule", scoringRuleSchema);
+
+ScoringRule.FIELDS = FIELDS;
+ScoringRule.OPERATORS = OPERATORS;
+
+module.exports = ScoringRule;
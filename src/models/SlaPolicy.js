@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+const Lead = require("./Lead");
+
+const slaPolicySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    // Policies are evaluated from highest to lowest priority
+    priority: {
+      type: Number,
+      default: 0,
+    },
+
+    // Match conditions (unset condition matches any lead)
+    platform: {
+      type: String,
+      enum: Lead.PLATFORMS,
+    },
+    campaignId: {
+      type: String,
+    },
+
+    // Time allowed for the first response
+    responseMinutes: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // Only time within business hours counts (unset days count every hour)
+    businessHours: {
+      timezone: {
+        type: String,
+        trim: true,
+      },
+      // 0 = Sunday ... 6 = Saturday
+      days: [
+        {
+          type: Number,
+          min: 0,
+          max: 6,
+        },
+      ],
+      // "HH:MM" in the timezone
+      start: {
+        type: String,
+        match: /^([01]\d|2[0-3]):[0-5]\d$/,
+      },
+      end: {
+        type: String,
+        match: /^([01]\d|2[0-3]):[0-5]\d$/,
+      },
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+slaPolicySchema.index({ active: 1, priority: -1 });
+
+module.exports = mongoose.model("SlaPolicy", slaPolicySchema);
@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+const tagSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 50,
+    },
+    // Hex color shown on the tag, e.g. "#e53935"
+    color: {
+      type: String,
+      trim: true,
+      match: /^#[0-9a-fA-F]{6}$/,
+      default: "#9e9e9e",
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Tag names are unique regardless of case ("VIP" and "vip" are the same tag)
+const NAME_COLLATION = { locale: "en", strength: 2 };
+tagSchema.index({ name: 1 }, { unique: true, collation: NAME_COLLATION });
+
+const Tag = mongoose.model("Tag", tagSchema);
+
+Tag.NAME_COLLATION = NAME_COLLATION;
+
+module.exports = Tag;
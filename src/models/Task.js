@@ -0,0 +1,89 @@
+const mongoose = require("mongoose");
+
+const TASK_TYPES = [
+  "call",
+  "whatsapp",
+  "email",
+  "meeting",
+  "follow_up",
+  "other",
+];
+
+const taskSchema = new mongoose.Schema(
+  {
+    lead: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Lead",
+      required: true,
+      index: true,
+    },
+    // Agent expected to do the task
+    assignee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    type: {
+      type: String,
+      enum: TASK_TYPES,
+      default: "follow_up",
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 2000,
+    },
+    dueAt: {
+      type: Date,
+      required: true,
+    },
+    // When to remind the assignee (defaults to the due time)
+    remindAt: {
+      type: Date,
+    },
+    done: {
+      type: Boolean,
+      default: false,
+    },
+    completedAt: {
+      type: Date,
+    },
+    completedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Set by the task scheduler once the due time has passed
+    overdue: {
+      type: Boolean,
+      default: false,
+    },
+    reminderSentAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+taskSchema.index({ assignee: 1, done: 1, dueAt: 1 });
+// Scheduler lookups for pending reminders and newly overdue tasks
+taskSchema.index({ done: 1, reminderSentAt: 1, remindAt: 1 });
+taskSchema.index({ done: 1, overdue: 1, dueAt: 1 });
+
+const Task = mongoose.model("Task", taskSchema);
+
+Task.TYPES = TASK_TYPES;
+
+module.exports = Task;
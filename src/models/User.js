@@ -0,0 +1,114 @@
+const mongoose = require("mongoose");
+const bcrypt = require("bcryptjs");
+
+const ROLES = ["admin", "manager", "agent"];
+const CHAT_TYPES = ["slack", "telegram", "generic"];
+
+const userSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+    },
+    password: {
+      type: String,
+      required: true,
+      minlength: 8,
+      select: false,
+    },
+    role: {
+      type: String,
+      enum: ROLES,
+      default: "agent",
+      index: true,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    // IANA timezone for the user's stats and charts, e.g. "Africa/Cairo"
+    timezone: {
+      type: String,
+      trim: true,
+    },
+    lastLoginAt: {
+      type: Date,
+    },
+    // Used by round-robin assignment to pick the agent who waited longest
+    lastAssignedAt: {
+      type: Date,
+      default: null,
+    },
+    // How the user hears about new leads
+    notifications: {
+      enabled: {
+        type: Boolean,
+        default: true,
+      },
+      email: {
+        type: Boolean,
+        default: true,
+      },
+      // Incoming-webhook style chat target (Slack webhook URL, Telegram bot)
+      chat: {
+        type: {
+          type: String,
+          enum: CHAT_TYPES,
+        },
+        url: String,
+        chatId: String,
+      },
+      // Empty means every platform / campaign
+      platforms: [String],
+      campaignIds: [String],
+      // Only leads assigned to this user
+      onlyAssigned: {
+        type: Boolean,
+        default: true,
+      },
+      // "HH:MM" local times; nothing is sent in between
+      quietHours: {
+        start: String,
+        end: String,
+        timezone: String,
+      },
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Hash password whenever it is set or changed
+userSchema.pre("save", async function () {
+  if (!this.isModified("password")) return;
+  this.password = await bcrypt.hash(this.password, 12);
+});
+
+userSchema.methods.comparePassword = function (candidate) {
+  return bcrypt.compare(candidate, this.password);
+};
+
+// Never leak the password hash in API responses
+userSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.password;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+const User = mongoose.model("User", userSchema);
+
+User.ROLES = ROLES;
+User.CHAT_TYPES = CHAT_TYPES;
+
+module.exports = User;
@@ -0,0 +1,91 @@
+const mongoose = require("mongoose");
+
+const DELIVERY_STATUSES = ["pending", "sending", "delivered", "dead"];
+
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    subscription: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WebhookSubscription",
+      required: true,
+      index: true,
+    },
+    event: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // Exact JSON body sent (and signed) on every attempt
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // dead = retries exhausted, waiting for manual redelivery
+    status: {
+      type: String,
+      enum: DELIVERY_STATUSES,
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+    },
+    nextRunAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedAt: {
+      type: Date,
+    },
+    // Outcome of the latest attempt
+    responseStatus: {
+      type: Number,
+    },
+    responseBody: {
+      type: String,
+    },
+    durationMs: {
+      type: Number,
+    },
+    lastError: {
+      type: String,
+    },
+    failures: [
+      {
+        _id: false,
+        attempt: Number,
+        responseStatus: Number,
+        error: String,
+        at: Date,
+      },
+    ],
+    deliveredAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Worker polling order
+webhookDeliverySchema.index({ status: 1, nextRunAt: 1 });
+
+// Auto-delete delivery log entries after 30 days
+webhookDeliverySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60 },
+);
+
+const WebhookDelivery = mongoose.model(
+  "WebhookDelivery",
+  webhookDeliverySchema,
+);
+
+WebhookDelivery.STATUSES = DELIVERY_STATUSES;
+
+module.exports = WebhookDelivery;
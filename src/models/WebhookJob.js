@@ -0,0 +1,76 @@
+const mongoose = require("mongoose");
+
+const JOB_STATUSES = ["pending", "processing", "completed", "dead"];
+
+const webhookJobSchema = new mongoose.Schema(
+  {
+    platform: {
+      type: String,
+      enum: ["meta", "snapchat", "tiktok"],
+      required: true,
+      index: true,
+    },
+    // Parsed webhook body, processed by the platform handler
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    webhookLog: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WebhookLog",
+    },
+    // dead = retries exhausted, waiting for manual retry
+    status: {
+      type: String,
+      enum: JOB_STATUSES,
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+    },
+    nextRunAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedAt: {
+      type: Date,
+    },
+    lastError: {
+      type: String,
+    },
+    failures: [
+      {
+        _id: false,
+        attempt: Number,
+        error: String,
+        at: Date,
+      },
+    ],
+    completedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Worker polling order
+webhookJobSchema.index({ status: 1, nextRunAt: 1 });
+
+// Auto-delete completed jobs after 7 days (the WebhookLog keeps the payload)
+webhookJobSchema.index(
+  { completedAt: 1 },
+  { expireAfterSeconds: 7 * 24 * 60 * 60 },
+);
+
+const WebhookJob = mongoose.model("WebhookJob", webhookJobSchema);
+
+WebhookJob.STATUSES = JOB_STATUSES;
+
+module.exports = WebhookJob;
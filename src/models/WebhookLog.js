@@ -31,6 +31,14 @@ const webhookLogSchema = new mongoose.Schema(
     ipAddress: {
       type: String,
     },
+    // Manual replays through the platform handler
+    replayCount: {
+      type: Number,
+      default: 0,
+    },
+    lastReplayedAt: {
+      type: Date,
+    },
   },
   {
     timestamps: true,
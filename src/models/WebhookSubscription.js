@@ -0,0 +1,66 @@
+const mongoose = require("mongoose");
+
+// Events that can be sent to outbound webhook subscribers
+const EVENT_TYPES = [
+  "lead.created",
+  "lead.updated",
+  "lead.status_changed",
+  "lead.assigned",
+  "lead.merged",
+  "lead.deleted",
+  "lead.sla_breached",
+  "task.created",
+  "task.completed",
+  "task.reminder",
+  "task.overdue",
+];
+
+const webhookSubscriptionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    url: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // HMAC key for the X-Hub-Signature-256 header, never listed
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    events: {
+      type: [{ type: String, enum: EVENT_TYPES }],
+      validate: [
+        (events) => events.length > 0,
+        "At least one event is required",
+      ],
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+webhookSubscriptionSchema.index({ active: 1, events: 1 });
+
+const WebhookSubscription = mongoose.model(
+  "WebhookSubscription",
+  webhookSubscriptionSchema,
+);
+
+WebhookSubscription.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = WebhookSubscription;
@@ -0,0 +1,19 @@
+const express = require("express");
+const router = express.Router();
+const adSpendController = require("../controllers/adSpend.controller");
+const { authenticate, authorize } = require("../middleware/auth.middleware");
+const { csvUpload } = require("../middleware/upload.middleware");
+
+// Ad spend is managed by admins and managers
+router.use(authenticate, authorize("admin", "manager"));
+
+// GET /api/ad-spend - Get spend rows
+router.get("/", adSpendController.getSpend);
+
+// POST /api/ad-spend/import - Import daily spend from a CSV file
+router.post("/import", csvUpload, adSpendController.importSpend);
+
+// POST /api/ad-spend/fetch - Pull daily spend from an ad platform
+router.post("/fetch", adSpendController.fetchSpend);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require("express");
+const router = express.Router();
+const assignmentController = require("../controllers/assignment.controller");
+const { authenticate, authorize } = require("../middleware/auth.middleware");
+
+// Assignment rules are managed by admins and managers
+router.use(authenticate, authorize("admin", "manager"));
+
+// GET /api/assignment-rules - Get all rules
+router.get("/", assignmentController.getRules);
+
+// POST /api/assignment-rules - Create rule
+router.post("/", assignmentController.createRule);
+
+// PATCH /api/assignment-rules/:id - Update rule
+router.patch("/:id", assignmentController.updateRule);
+
+// DELETE /api/assignment-rules/:id - Delete rule
+router.delete("/:id", assignmentController.deleteRule);
+
+module.exports = router;
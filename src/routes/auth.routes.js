@@ -0,0 +1,15 @@
+const express = require("express");
+const router = express.Router();
+const authController = require("../controllers/auth.controller");
+const { authenticate } = require("../middleware/auth.middleware");
+
+// POST /api/auth/login - Exchange credentials for access token
+router.post("/login", authController.login);
+
+// GET /api/auth/me - Get current user
+router.get("/me", authenticate, authController.getMe);
+
+// PATCH /api/auth/me - Update current user's name or timezone
+router.patch("/me", authenticate, authController.updateMe);
+
+module.exports = router;
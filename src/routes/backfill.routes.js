@@ -0,0 +1,11 @@
+const express = require("express");
+const router = express.Router();
+const backfillController = require("../controllers/backfill.controller");
+const { authenticate, authorize } = require("../middleware/auth.middleware");
+
+router.use(authenticate, authorize("admin"));
+
+// POST /api/backfill/meta - Pull missed Meta leads for forms and a date range
+router.post("/meta", backfillController.backfillMeta);
+
+module.exports = router;
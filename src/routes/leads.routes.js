@@ -1,6 +1,14 @@
 const express = require("express");
 const router = express.Router();
 const leadsController = require("../controllers/leads.controller");
+const notesController = require("../controllers/notes.controller");
+const tagsController = require("../controllers/tags.controller");
+const tasksController = require("../controllers/tasks.controller");
+const { authenticate, authorize } = require("../middleware/auth.middleware");
+const { csvUpload } = require("../middleware/upload.middleware");
+
+// All lead routes require a logged-in user
+router.use(authenticate);
 
 // GET /api/leads/stats - Get lead statistics (must be before /:id route)
 router.get("/stats", leadsController.getLeadStats);
@@ -8,16 +16,75 @@ router.get("/stats", leadsController.getLeadStats);
 // GET /api/leads/chart - Get leads by date for charts
 router.get("/chart", leadsController.getLeadsByDate);
 
+// GET /api/leads/export - Download filtered leads as CSV or Excel
+router.get(
+  "/export",
+  authorize("admin", "manager"),
+  leadsController.exportLeads,
+);
+
+// POST /api/leads/import - Import leads from a CSV file with column mapping
+router.post(
+  "/import",
+  authorize("admin", "manager"),
+  csvUpload,
+  leadsController.importLeads,
+);
+
+// POST /api/leads/bulk - Set status, assign, tag or delete many leads at once
+router.post(
+  "/bulk",
+  authorize("admin", "manager"),
+  leadsController.bulkUpdateLeads,
+);
+
 // GET /api/leads - Get all leads with filters
 router.get("/", leadsController.getLeads);
 
+// POST /api/leads - Create a lead from a phone call, walk-in or referral
+router.post("/", leadsController.createLead);
+
 // GET /api/leads/:id - Get single lead
 router.get("/:id", leadsController.getLeadById);
 
+// GET /api/leads/:id/activity - Get lead activity timeline
+router.get("/:id/activity", leadsController.getLeadActivity);
+
+// GET /api/leads/:id/notes - Get lead notes and interactions
+router.get("/:id/notes", notesController.getNotes);
+
+// POST /api/leads/:id/notes - Add note or interaction
+router.post("/:id/notes", notesController.addNote);
+
+// DELETE /api/leads/:id/notes/:noteId - Delete note
+router.delete("/:id/notes/:noteId", notesController.deleteNote);
+
+// GET /api/leads/:id/tasks - Get follow-up tasks of a lead
+router.get("/:id/tasks", tasksController.getLeadTasks);
+
+// POST /api/leads/:id/tasks - Create follow-up task
+router.post("/:id/tasks", tasksController.createTask);
+
+// POST /api/leads/:id/tags - Add tags to a lead
+router.post("/:id/tags", tagsController.addLeadTags);
+
+// DELETE /api/leads/:id/tags/:tagId - Remove a tag from a lead
+router.delete("/:id/tags/:tagId", tagsController.removeLeadTag);
+
+// GET /api/leads/:id/duplicates - Find leads with the same email or phone
+router.get("/:id/duplicates", leadsController.getDuplicates);
+
+// POST /api/leads/:id/merge - Merge a duplicate into this lead
+router.post(
+  "/:id/merge",
+  authorize("admin", "manager"),
+  leadsController.mergeLead,
+);
+
 // PATCH /api/leads/:id - Update lead
 router.patch("/:id", leadsController.updateLead);
 
-// DELETE /api/leads/:id - Delete lead
-router.delete("/:id", leadsController.deleteLead);
+// DELETE /api/leads/:id - Delete lead (admin only)
+router.delete("/:id", authorize("admin"), leadsController.deleteLead);
 
 module.exports = router;
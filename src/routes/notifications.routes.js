@@ -0,0 +1,17 @@
+const express = require("express");
+const router = express.Router();
+const notificationsController = require("../controllers/notifications.controller");
+const { authenticate } = require("../middleware/auth.middleware");
+
+router.use(authenticate);
+
+// GET /api/notifications/preferences - Get my notification preferences
+router.get("/preferences", notificationsController.getPreferences);
+
+// PATCH /api/notifications/preferences - Update my notification preferences
+router.patch("/preferences", notificationsController.updatePreferences);
+
+// POST /api/notifications/test - Send myself a sample notification
+router.post("/test", notificationsController.sendTestNotification);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require("express");
+const router = express.Router();
+const pipelinesController = require("../controllers/pipelines.controller");
+const { authenticate, authorize } = require("../middleware/auth.middleware");
+
+router.use(authenticate);
+
+// GET /api/pipelines - Get all pipelines with their stages
+router.get("/", pipelinesController.getPipelines);
+
+// GET /api/pipelines/:id - Get single pipeline
+router.get("/:id", pipelinesController.getPipelineById);
+
+// POST /api/pipelines - Create pipeline (admin only)
+router.post("/", authorize("admin"), pipelinesController.createPipeline);
+
+// PATCH /api/pipelines/:id - Update pipeline (admin only)
+router.patch("/:id", authorize("admin"), pipelinesController.updatePipeline);
+
+// DELETE /api/pipelines/:id - Delete pipeline (admin only)
+router.delete("/:id", authorize("admin"), pipelinesController.deletePipeline);
+
+module.exports = router;
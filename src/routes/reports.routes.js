@@ -0,0 +1,30 @@
+const express = require("express");
+const router = express.Router();
+const reportsController = require("../controllers/reports.controller");
+const { authenticate, authorize } = require("../middleware/auth.middleware");
+
+// Reports are for admins and managers
+router.use(authenticate, authorize("admin", "manager"));
+
+// GET /api/reports/funnel - Stage conversion and time between stages
+router.get("/funnel", reportsController.getFunnel);
+
+// GET /api/reports/campaigns - Performance per campaign
+router.get("/campaigns", reportsController.getCampaignReport);
+
+// GET /api/reports/adsets - Performance per ad set
+router.get("/adsets", reportsController.getAdsetReport);
+
+// GET /api/reports/ads - Performance per ad
+router.get("/ads", reportsController.getAdReport);
+
+// GET /api/reports/forms - Performance per lead form
+router.get("/forms", reportsController.getFormReport);
+
+// GET /api/reports/cost - Ad spend, cost per lead and cost per conversion
+router.get("/cost", reportsController.getCostReport);
+
+// GET /api/reports/sla - Response SLA compliance per agent and platform
+router.get("/sla", reportsController.getSlaReport);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require("express");
+const router = express.Router();
+const scoringController = require("../controllers/scoring.controller");
+const { authenticate, authorize } = require("../middleware/auth.middleware");
+
+// Scoring rules are managed by admins and managers
+router.use(authenticate, authorize("admin", "manager"));
+
+// GET /api/scoring-rules - Get all rules
+router.get("/", scoringController.getRules);
+
+// POST /api/scoring-rules - Create rule
+router.post("/", scoringController.createRule);
+
+// POST /api/scoring-rules/recompute - Rescore all leads
+router.post("/recompute", scoringController.recomputeScores);
+
+// PATCH /api/scoring-rules/:id - Update rule
+router.patch("/:id", scoringController.updateRule);
+
+// DELETE /api/scoring-rules/:id - Delete rule
+router.delete("/:id", scoringController.deleteRule);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require("express");
+const router = express.Router();
+const slaController = require("../controllers/sla.controller");
+const { authenticate, authorize } = require("../middleware/auth.middleware");
+
+// SLA policies are managed by admins and managers
+router.use(authenticate, authorize("admin", "manager"));
+
+// GET /api/sla-policies - Get all policies
+router.get("/", slaController.getPolicies);
+
+// POST /api/sla-policies - Create policy
+router.post("/", slaController.createPolicy);
+
+// PATCH /api/sla-policies/:id - Update policy
+router.patch("/:id", slaController.updatePolicy);
+
+// DELETE /api/sla-policies/:id - Delete policy
+router.delete("/:id", slaController.deletePolicy);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require("express");
+const router = express.Router();
+const streamController = require("../controllers/stream.controller");
+const { authenticateStream } = require("../middleware/auth.middleware");
+
+// EventSource cannot send headers, so ?access_token= is accepted too
+router.use(authenticateStream);
+
+// GET /api/stream/leads - Live lead.created and lead.updated events
+router.get("/leads", streamController.streamLeads);
+
+module.exports = router;
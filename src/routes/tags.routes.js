@@ -0,0 +1,20 @@
+const express = require("express");
+const router = express.Router();
+const tagsController = require("../controllers/tags.controller");
+const { authenticate, authorize } = require("../middleware/auth.middleware");
+
+router.use(authenticate);
+
+// GET /api/tags - Get tag catalogue with lead counts
+router.get("/", tagsController.getTags);
+
+// POST /api/tags - Create tag (admin and manager)
+router.post("/", authorize("admin", "manager"), tagsController.createTag);
+
+// PATCH /api/tags/:id - Update tag (admin and manager)
+router.patch("/:id", authorize("admin", "manager"), tagsController.updateTag);
+
+// DELETE /api/tags/:id - Delete tag and remove it from leads (admin and manager)
+router.delete("/:id", authorize("admin", "manager"), tagsController.deleteTag);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require("express");
+const router = express.Router();
+const tasksController = require("../controllers/tasks.controller");
+const { authenticate } = require("../middleware/auth.middleware");
+
+router.use(authenticate);
+
+// GET /api/tasks/overdue - Get my overdue tasks (must be before /:id routes)
+router.get("/overdue", tasksController.getOverdueTasks);
+
+// GET /api/tasks - Get tasks with filters
+router.get("/", tasksController.getTasks);
+
+// PATCH /api/tasks/:id - Update or reschedule task
+router.patch("/:id", tasksController.updateTask);
+
+// POST /api/tasks/:id/complete - Mark task as done
+router.post("/:id/complete", tasksController.completeTask);
+
+// DELETE /api/tasks/:id - Delete task (creator, admin or manager)
+router.delete("/:id", tasksController.deleteTask);
+
+module.exports = router;
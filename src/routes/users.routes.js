@@ -0,0 +1,21 @@
+const express = require("express");
+const router = express.Router();
+const usersController = require("../controllers/users.controller");
+const { authenticate, authorize } = require("../middleware/auth.middleware");
+
+// User management is admin only
+router.use(authenticate, authorize("admin"));
+
+// GET /api/users - Get all users
+router.get("/", usersController.getUsers);
+
+// POST /api/users - Create user
+router.post("/", usersController.createUser);
+
+// GET /api/users/:id - Get single user
+router.get("/:id", usersController.getUserById);
+
+// PATCH /api/users/:id - Update user
+router.patch("/:id", usersController.updateUser);
+
+module.exports = router;
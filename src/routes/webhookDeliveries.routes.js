@@ -0,0 +1,18 @@
+const express = require("express");
+const router = express.Router();
+const webhookDeliveriesController = require("../controllers/webhookDeliveries.controller");
+const { authenticate, authorize } = require("../middleware/auth.middleware");
+
+// Webhook internals are admin only
+router.use(authenticate, authorize("admin"));
+
+// GET /api/webhook-deliveries - Get outbound delivery log
+router.get("/", webhookDeliveriesController.getDeliveries);
+
+// GET /api/webhook-deliveries/:id - Get delivery with payload and failures
+router.get("/:id", webhookDeliveriesController.getDeliveryById);
+
+// POST /api/webhook-deliveries/:id/redeliver - Send a delivery again
+router.post("/:id/redeliver", webhookDeliveriesController.redeliver);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require("express");
+const router = express.Router();
+const webhookJobsController = require("../controllers/webhookJobs.controller");
+const { authenticate, authorize } = require("../middleware/auth.middleware");
+
+// Webhook internals are admin only
+router.use(authenticate, authorize("admin"));
+
+// GET /api/webhook-jobs - Get queued, failed and dead webhook jobs
+router.get("/", webhookJobsController.getJobs);
+
+// GET /api/webhook-jobs/:id - Get single job with its failure history
+router.get("/:id", webhookJobsController.getJobById);
+
+// POST /api/webhook-jobs/:id/retry - Requeue a dead job
+router.post("/:id/retry", webhookJobsController.retryJob);
+
+module.exports = router;
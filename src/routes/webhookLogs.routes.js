@@ -0,0 +1,18 @@
+const express = require("express");
+const router = express.Router();
+const webhookLogsController = require("../controllers/webhookLogs.controller");
+const { authenticate, authorize } = require("../middleware/auth.middleware");
+
+// Webhook internals are admin only
+router.use(authenticate, authorize("admin"));
+
+// GET /api/webhook-logs - Get webhook logs with filters
+router.get("/", webhookLogsController.getLogs);
+
+// GET /api/webhook-logs/:id - Get single log with payload and headers
+router.get("/:id", webhookLogsController.getLogById);
+
+// POST /api/webhook-logs/:id/replay - Re-run the stored payload
+router.post("/:id/replay", webhookLogsController.replayLog);
+
+module.exports = router;
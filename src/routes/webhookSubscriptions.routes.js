@@ -0,0 +1,27 @@
+const express = require("express");
+const router = express.Router();
+const webhookSubscriptionsController = require("../controllers/webhookSubscriptions.controller");
+const { authenticate, authorize } = require("../middleware/auth.middleware");
+
+// Webhook internals are admin only
+router.use(authenticate, authorize("admin"));
+
+// GET /api/webhook-subscriptions - Get outbound webhook subscriptions
+router.get("/", webhookSubscriptionsController.getSubscriptions);
+
+// POST /api/webhook-subscriptions - Create subscription (returns its secret)
+router.post("/", webhookSubscriptionsController.createSubscription);
+
+// GET /api/webhook-subscriptions/:id - Get single subscription
+router.get("/:id", webhookSubscriptionsController.getSubscriptionById);
+
+// PATCH /api/webhook-subscriptions/:id - Update subscription or rotate secret
+router.patch("/:id", webhookSubscriptionsController.updateSubscription);
+
+// DELETE /api/webhook-subscriptions/:id - Delete subscription
+router.delete("/:id", webhookSubscriptionsController.deleteSubscription);
+
+// POST /api/webhook-subscriptions/:id/ping - Queue a test delivery
+router.post("/:id/ping", webhookSubscriptionsController.pingSubscription);
+
+module.exports = router;
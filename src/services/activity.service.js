@@ -0,0 +1,85 @@
+const Lead = require("../models/Lead");
+const LeadActivity = require("../models/LeadActivity");
+const { isValidObjectId, createError } = require("../utils/errors");
+
+/**
+ * Append an entry to a lead's activity timeline
+ * Failures are logged rather than thrown so they never block the change itself
+ */
+const recordActivity = async ({
+  lead,
+  type,
+  actor = null,
+  changes = [],
+  metadata,
+}) => {
+  try {
+    return await LeadActivity.create({
+      lead: lead._id || lead,
+      type,
+      actor: actor?._id || actor,
+      changes,
+      metadata,
+    });
+  } catch (error) {
+    console.error(`⚠️ Failed to record ${type} activity:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Get activity timeline for a lead (oldest first)
+ */
+const getLeadActivity = async (leadId, filters = {}, options = {}) => {
+  if (!leadId || !isValidObjectId(leadId)) {
+    throw createError("Invalid lead ID format", 400);
+  }
+
+  // Include history of leads that were merged into this one
+  const lead = await Lead.findById(leadId).select("sources.mergedFrom");
+  const leadIds = [leadId];
+  (lead?.sources || []).forEach((source) => {
+    if (source.mergedFrom) leadIds.push(source.mergedFrom);
+  });
+
+  const query = { lead: { $in: leadIds } };
+
+  if (filters.type) {
+    if (!LeadActivity.TYPES.includes(filters.type)) {
+      throw createError(
+        `Invalid activity type. Must be one of: ${LeadActivity.TYPES.join(", ")}`,
+        400,
+      );
+    }
+    query.type = filters.type;
+  }
+
+  // Pagination
+  const page = parseInt(options.page) || 1;
+  const limit = parseInt(options.limit) || 50;
+  const skip = (page - 1) * limit;
+
+  const [activities, total] = await Promise.all([
+    LeadActivity.find(query)
+      .sort({ createdAt: 1, _id: 1 })
+      .skip(skip)
+      .limit(limit)
+      .populate("actor", "name email role"),
+    LeadActivity.countDocuments(query),
+  ]);
+
+  return {
+    activities,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
+module.exports = {
+  recordActivity,
+  getLeadActivity,
+};
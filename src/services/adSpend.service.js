@@ -0,0 +1,362 @@
+const { parse } = require("csv-parse/sync");
+const AdSpend = require("../models/AdSpend");
+const fetchers = require("../adSpend");
+const { createError } = require("../utils/errors");
+
+const MAX_ROWS = 20000;
+// Longest range fetched from an ad platform at once
+const MAX_FETCH_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse a "YYYY-MM-DD" day (or a date string) as midnight UTC
+ */
+const parseDay = (value) => {
+  const text = String(value ?? "").trim();
+  const date = new Date(
+    DAY_PATTERN.test(text) ? `${text}T00:00:00Z` : text || NaN,
+  );
+  if (isNaN(date)) return null;
+  date.setUTCHours(0, 0, 0, 0);
+  return date;
+};
+
+/**
+ * Read an optional non-negative number, e.g. "1,250.50"
+ */
+const parseAmount = (value, field) => {
+  if (value === undefined || value === null || value === "") return undefined;
+  const amount = Number(String(value).replace(/,/g, ""));
+  if (isNaN(amount) || amount < 0) {
+    throw new Error(`Invalid ${field} "${value}"`);
+  }
+  return amount;
+};
+
+/**
+ * Validate one spend row and convert it to AdSpend fields
+ */
+const buildSpendRow = (row, platform) => {
+  const rowPlatform = String(row.platform || platform || "").toLowerCase();
+  if (!AdSpend.PLATFORMS.includes(rowPlatform)) {
+    throw new Error(
+      `Invalid platform "${row.platform ?? ""}". Must be one of: ${AdSpend.PLATFORMS.join(", ")}`,
+    );
+  }
+
+  const date = parseDay(row.date);
+  if (!date) {
+    throw new Error(`Invalid date "${row.date ?? ""}"`);
+  }
+
+  if (!row.campaignId) {
+    throw new Error("campaignId is required");
+  }
+
+  const spend = parseAmount(row.spend, "spend");
+  if (spend === undefined) {
+    throw new Error("spend is required");
+  }
+
+  return {
+    platform: rowPlatform,
+    date,
+    campaignId: String(row.campaignId).trim(),
+    campaignName: row.campaignName || undefined,
+    adsetId: row.adsetId ? String(row.adsetId).trim() : null,
+    adsetName: row.adsetName || undefined,
+    spend,
+    currency: row.currency || undefined,
+    impressions: parseAmount(row.impressions, "impressions"),
+    clicks: parseAmount(row.clicks, "clicks"),
+  };
+};
+
+/**
+ * Find rows that would mix campaign-level and ad set rows for the same
+ * campaign and day (in the rows or already stored), which the cost
+ * report would add up twice
+ * Returns an error message per row, or null when the row is fine
+ */
+const findLevelConflicts = async (rows) => {
+  if (rows.length === 0) return [];
+
+  const keyOf = (row) =>
+    `${row.platform}|${row.campaignId}|${row.date.toISOString()}`;
+  const levelOf = (row) => (row.adsetId ? "adset" : "campaign");
+
+  const levels = new Map();
+  const addLevel = (row) => {
+    const key = keyOf(row);
+    if (!levels.has(key)) levels.set(key, new Set());
+    levels.get(key).add(levelOf(row));
+  };
+
+  const dates = rows.map((row) => row.date.getTime());
+  const stored = await AdSpend.find(
+    {
+      campaignId: { $in: [...new Set(rows.map((row) => row.campaignId))] },
+      date: {
+        $gte: new Date(Math.min(...dates)),
+        $lte: new Date(Math.max(...dates)),
+      },
+    },
+    "platform campaignId adsetId date",
+  ).lean();
+
+  stored.forEach(addLevel);
+  rows.forEach(addLevel);
+
+  return rows.map((row) =>
+    levels.get(keyOf(row)).size > 1
+      ? `Campaign ${row.campaignId} on ${row.date.toISOString().slice(0, 10)} has both campaign-level and ad set spend; use one level per campaign and day`
+      : null,
+  );
+};
+
+/**
+ * Insert or replace spend rows by platform, campaign, ad set and day
+ */
+const saveSpendRows = async (rows, source) => {
+  if (rows.length === 0) return { inserted: 0, updated: 0 };
+
+  const result = await AdSpend.bulkWrite(
+    rows.map((row) => ({
+      updateOne: {
+        filter: {
+          platform: row.platform,
+          campaignId: row.campaignId,
+          adsetId: row.adsetId,
+          date: row.date,
+        },
+        update: { $set: { ...row, source } },
+        upsert: true,
+      },
+    })),
+    { ordered: false },
+  );
+
+  return { inserted: result.upsertedCount, updated: result.modifiedCount };
+};
+
+/**
+ * Import spend from a CSV file
+ * Columns: date, platform, campaignId, spend and optionally campaignName,
+ * adsetId, adsetName, currency, impressions, clicks
+ * A platform field applies to rows without a platform column
+ */
+const importSpend = async (file, { platform } = {}) => {
+  if (!file || !file.buffer) {
+    throw createError("A CSV file is required", 400);
+  }
+
+  let rows;
+  try {
+    rows = parse(file.buffer, {
+      columns: true,
+      bom: true,
+      skip_empty_lines: true,
+      trim: true,
+      relax_column_count: true,
+    });
+  } catch (error) {
+    throw createError(`Could not read CSV: ${error.message}`, 400);
+  }
+
+  if (rows.length === 0) {
+    throw createError("The CSV file has no rows", 400);
+  }
+  if (rows.length > MAX_ROWS) {
+    throw createError(`A file can contain at most ${MAX_ROWS} rows`, 400);
+  }
+
+  const parsed = [];
+  const errors = [];
+  rows.forEach((row, index) => {
+    // Row numbers as seen in a spreadsheet (header is row 1)
+    try {
+      parsed.push({ row: index + 2, data: buildSpendRow(row, platform) });
+    } catch (error) {
+      errors.push({ row: index + 2, error: error.message });
+    }
+  });
+
+  const conflicts = await findLevelConflicts(parsed.map(({ data }) => data));
+  const valid = [];
+  parsed.forEach(({ row, data }, index) => {
+    if (conflicts[index]) {
+      errors.push({ row, error: conflicts[index] });
+    } else {
+      valid.push(data);
+    }
+  });
+  errors.sort((a, b) => a.row - b.row);
+
+  const saved = await saveSpendRows(valid, "csv");
+
+  console.log(
+    `📄 Ad spend import: ${valid.length} rows saved, ${errors.length} failed`,
+  );
+  return { total: rows.length, ...saved, failed: errors.length, errors };
+};
+
+/**
+ * Pull daily spend from an ad platform's reporting API
+ * Defaults to the last 7 days, including today
+ */
+const fetchSpend = async ({ platform, fromDate, toDate } = {}) => {
+  const fetcher = fetchers[platform];
+  if (!fetcher) {
+    throw createError(
+      `Invalid platform. Must be one of: ${Object.keys(fetchers).join(", ")}`,
+      400,
+    );
+  }
+  if (!fetcher.isConfigured()) {
+    throw createError(
+      `Ad spend fetching is not configured for ${platform}`,
+      400,
+    );
+  }
+
+  const until = parseDay(toDate || new Date().toISOString());
+  const since = fromDate ? parseDay(fromDate) : new Date(until - 6 * DAY_MS);
+  if (!since || !until) {
+    throw createError("Invalid date range", 400);
+  }
+  if (since > until) {
+    throw createError("fromDate must be before toDate", 400);
+  }
+  if (until - since >= MAX_FETCH_DAYS * DAY_MS) {
+    throw createError(`Date range cannot exceed ${MAX_FETCH_DAYS} days`, 400);
+  }
+
+  const range = {
+    since: since.toISOString().slice(0, 10),
+    until: until.toISOString().slice(0, 10),
+  };
+
+  let fetched;
+  try {
+    fetched = await fetcher.fetchSpend(range);
+  } catch (error) {
+    const details = error.response?.data?.error || error.message;
+    throw createError(
+      `Failed to fetch ${platform} ad spend: ${JSON.stringify(details)}`,
+      502,
+    );
+  }
+
+  const parsed = [];
+  const errors = [];
+  fetched.forEach((row) => {
+    try {
+      parsed.push(buildSpendRow(row, platform));
+    } catch (error) {
+      errors.push({ campaignId: row.campaignId, error: error.message });
+    }
+  });
+
+  const conflicts = await findLevelConflicts(parsed);
+  const valid = [];
+  parsed.forEach((row, index) => {
+    if (conflicts[index]) {
+      errors.push({ campaignId: row.campaignId, error: conflicts[index] });
+    } else {
+      valid.push(row);
+    }
+  });
+
+  const saved = await saveSpendRows(valid, "api");
+
+  console.log(
+    `✅ Fetched ${platform} ad spend ${range.since}..${range.until}: ${valid.length} rows`,
+  );
+  return {
+    platform,
+    ...range,
+    fetched: fetched.length,
+    ...saved,
+    failed: errors.length,
+    errors,
+  };
+};
+
+/**
+ * Build the spend query shared by listings and reports
+ */
+const buildSpendQuery = (filters = {}) => {
+  const query = {};
+
+  if (filters.platform) {
+    if (!AdSpend.PLATFORMS.includes(filters.platform)) {
+      throw createError(
+        `Invalid platform. Must be one of: ${AdSpend.PLATFORMS.join(", ")}`,
+        400,
+      );
+    }
+    query.platform = filters.platform;
+  }
+
+  if (filters.campaignId) {
+    query.campaignId = String(filters.campaignId);
+  }
+
+  if (filters.adsetId) {
+    query.adsetId = String(filters.adsetId);
+  }
+
+  if (filters.fromDate || filters.toDate) {
+    query.date = {};
+    if (filters.fromDate) {
+      const from = parseDay(filters.fromDate);
+      if (!from) throw createError("Invalid fromDate", 400);
+      query.date.$gte = from;
+    }
+    if (filters.toDate) {
+      const to = parseDay(filters.toDate);
+      if (!to) throw createError("Invalid toDate", 400);
+      query.date.$lte = to;
+    }
+  }
+
+  return query;
+};
+
+/**
+ * Get spend rows with filters (newest first)
+ */
+const getSpend = async (filters = {}, options = {}) => {
+  const query = buildSpendQuery(filters);
+
+  // Pagination
+  const page = parseInt(options.page) || 1;
+  const limit = parseInt(options.limit) || 50;
+  const skip = (page - 1) * limit;
+
+  const [spend, total] = await Promise.all([
+    AdSpend.find(query)
+      .sort({ date: -1, platform: 1, campaignId: 1 })
+      .skip(skip)
+      .limit(limit),
+    AdSpend.countDocuments(query),
+  ]);
+
+  return {
+    spend,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
+module.exports = {
+  buildSpendQuery,
+  importSpend,
+  fetchSpend,
+  getSpend,
+};
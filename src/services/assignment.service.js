@@ -0,0 +1,270 @@
+const Lead = require("../models/Lead");
+const User = require("../models/User");
+const AssignmentRule = require("../models/AssignmentRule");
+const activityService = require("./activity.service");
+const pipelinesService = require("./pipelines.service");
+const { emitEvent } = require("../events/eventBus");
+const { isValidObjectId, createError } = require("../utils/errors");
+
+/**
+ * Strategy used when no rule matches (LEAD_ASSIGNMENT_STRATEGY=none disables)
+ */
+const getDefaultStrategy = () => {
+  return process.env.LEAD_ASSIGNMENT_STRATEGY || "round_robin";
+};
+
+/**
+ * Check whether a rule's conditions match a lead
+ */
+const ruleMatches = (rule, lead) => {
+  if (rule.platform && rule.platform !== lead.platform) return false;
+  if (rule.campaignId && rule.campaignId !== lead.campaignId) return false;
+  if (rule.formId && rule.formId !== lead.formId) return false;
+  return true;
+};
+
+/**
+ * Load active agents, optionally restricted to a pool of user IDs
+ */
+const getAgentPool = async (agentIds = []) => {
+  const query = { role: "agent", active: true };
+  if (agentIds.length > 0) {
+    query._id = { $in: agentIds };
+  }
+  return User.find(query).sort({ lastAssignedAt: 1, _id: 1 });
+};
+
+/**
+ * Round robin: the agent who has waited longest since their last lead
+ */
+const pickRoundRobin = (agents) => {
+  return agents[0] || null;
+};
+
+/**
+ * Least loaded: the agent with the fewest open leads
+ */
+const pickLeastLoaded = async (agents) => {
+  if (agents.length === 0) return null;
+
+  // Only leads in open stages count towards an agent's workload
+  const openStages = await pipelinesService.buildStageCategoryQuery(["open"]);
+  const loads = await Lead.aggregate([
+    {
+      $match: {
+        assignedTo: { $in: agents.map((agent) => agent._id) },
+        ...openStages,
+      },
+    },
+    { $group: { _id: "$assignedTo", count: { $sum: 1 } } },
+  ]);
+
+  const loadByAgent = {};
+  loads.forEach((load) => {
+    loadByAgent[load._id.toString()] = load.count;
+  });
+
+  // Agents are already ordered by lastAssignedAt, so ties go round robin
+  return agents.reduce((best, agent) => {
+    const load = loadByAgent[agent._id.toString()] || 0;
+    const bestLoad = loadByAgent[best._id.toString()] || 0;
+    return load < bestLoad ? agent : best;
+  });
+};
+
+/**
+ * Pick an agent for a lead using the first matching rule or the default strategy
+ * Returns the agent together with the rule and strategy that chose them
+ */
+const pickAgent = async (lead) => {
+  const rules = await AssignmentRule.find({ active: true }).sort({
+    priority: -1,
+    createdAt: 1,
+  });
+  const rule = rules.find((candidate) => ruleMatches(candidate, lead));
+
+  const strategy = rule ? rule.strategy : getDefaultStrategy();
+  if (strategy === "none") return { agent: null };
+
+  const agents = await getAgentPool(rule ? rule.agents : []);
+  const agent =
+    strategy === "least_loaded"
+      ? await pickLeastLoaded(agents)
+      : pickRoundRobin(agents);
+
+  return { agent, rule, strategy };
+};
+
+/**
+ * Automatically assign an unassigned lead
+ */
+const assignLead = async (lead) => {
+  if (lead.assignedTo) return lead;
+
+  const { agent, rule, strategy } = await pickAgent(lead);
+  if (!agent) return lead;
+
+  const now = new Date();
+  // Only assign if nobody claimed the lead in the meantime
+  const assigned = await Lead.findOneAndUpdate(
+    { _id: lead._id, assignedTo: null },
+    { assignedTo: agent._id, assignedAt: now },
+    { new: true },
+  );
+
+  if (assigned) {
+    // Only a lead actually received moves the agent's round-robin turn
+    await User.updateOne({ _id: agent._id }, { lastAssignedAt: now });
+    console.log(`👤 Lead ${lead._id} assigned to ${agent.email}`);
+    await activityService.recordActivity({
+      lead: assigned,
+      type: "assigned",
+      changes: [{ field: "assignedTo", from: null, to: agent._id }],
+      metadata: { strategy, rule: rule?._id },
+    });
+    emitEvent("lead.assigned", {
+      lead: assigned,
+      changes: [{ field: "assignedTo", from: null, to: agent._id }],
+      actor: null,
+    });
+  }
+  return assigned || lead;
+};
+
+/**
+ * Validate assignee for manual (re)assignment; null unassigns
+ */
+const resolveAssignee = async (userId) => {
+  if (userId === null || userId === "") return null;
+
+  if (!isValidObjectId(userId)) {
+    throw createError("Invalid assignee ID format", 400);
+  }
+
+  const user = await User.findById(userId);
+  if (!user || !user.active) {
+    throw createError("Assignee not found or inactive", 400);
+  }
+  return user;
+};
+
+/**
+ * Validate rule fields shared by create and update
+ */
+const validateRuleData = (data) => {
+  if (
+    data.strategy !== undefined &&
+    !AssignmentRule.STRATEGIES.includes(data.strategy)
+  ) {
+    throw createError(
+      `Invalid strategy. Must be one of: ${AssignmentRule.STRATEGIES.join(", ")}`,
+      400,
+    );
+  }
+  if (data.agents !== undefined) {
+    if (!Array.isArray(data.agents) || !data.agents.every(isValidObjectId)) {
+      throw createError("Agents must be an array of user IDs", 400);
+    }
+  }
+};
+
+/**
+ * Get all assignment rules
+ */
+const getRules = async () => {
+  return AssignmentRule.find()
+    .sort({ priority: -1, createdAt: 1 })
+    .populate("agents", "name email");
+};
+
+/**
+ * Create assignment rule
+ */
+const createRule = async (data) => {
+  if (!data || !data.name) {
+    throw createError("Rule name is required", 400);
+  }
+
+  validateRuleData(data);
+
+  return AssignmentRule.create({
+    name: data.name,
+    active: data.active,
+    priority: data.priority,
+    platform: data.platform,
+    campaignId: data.campaignId,
+    formId: data.formId,
+    strategy: data.strategy,
+    agents: data.agents,
+  });
+};
+
+/**
+ * Update assignment rule
+ */
+const updateRule = async (id, updateData) => {
+  if (!id || !isValidObjectId(id)) {
+    throw createError("Invalid rule ID format", 400);
+  }
+
+  if (!updateData || typeof updateData !== "object") {
+    throw createError("Update data is required", 400);
+  }
+
+  const allowedFields = [
+    "name",
+    "active",
+    "priority",
+    "platform",
+    "campaignId",
+    "formId",
+    "strategy",
+    "agents",
+  ];
+  const filteredData = {};
+  for (const field of allowedFields) {
+    if (updateData[field] !== undefined) {
+      filteredData[field] = updateData[field];
+    }
+  }
+
+  if (Object.keys(filteredData).length === 0) {
+    throw createError("No valid fields to update", 400);
+  }
+
+  validateRuleData(filteredData);
+
+  const rule = await AssignmentRule.findByIdAndUpdate(id, filteredData, {
+    new: true,
+    runValidators: true,
+  });
+
+  if (!rule) {
+    throw createError("Assignment rule not found", 404);
+  }
+  return rule;
+};
+
+/**
+ * Delete assignment rule
+ */
+const deleteRule = async (id) => {
+  if (!id || !isValidObjectId(id)) {
+    throw createError("Invalid rule ID format", 400);
+  }
+
+  const rule = await AssignmentRule.findByIdAndDelete(id);
+  if (!rule) {
+    throw createError("Assignment rule not found", 404);
+  }
+  return rule;
+};
+
+module.exports = {
+  assignLead,
+  resolveAssignee,
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+};
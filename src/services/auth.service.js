@@ -0,0 +1,79 @@
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const { createError } = require("../utils/errors");
+
+const DEFAULT_TOKEN_TTL = "12h";
+
+/**
+ * Get JWT secret, failing loudly if it is not configured
+ */
+const getSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw createError("Authentication is not configured", 500);
+  }
+  return process.env.JWT_SECRET;
+};
+
+/**
+ * Issue signed access token for a user
+ */
+const signToken = (user) => {
+  return jwt.sign({ sub: user._id.toString(), role: user.role }, getSecret(), {
+    expiresIn: process.env.JWT_EXPIRES_IN || DEFAULT_TOKEN_TTL,
+  });
+};
+
+/**
+ * Verify access token and load the active user it belongs to
+ */
+const verifyToken = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, getSecret());
+  } catch (error) {
+    throw createError("Invalid or expired token", 401);
+  }
+
+  const user = await User.findById(payload.sub);
+  if (!user || !user.active) {
+    throw createError("Invalid or expired token", 401);
+  }
+  return user;
+};
+
+/**
+ * Authenticate with email and password
+ */
+const login = async (email, password) => {
+  if (
+    !email ||
+    !password ||
+    typeof email !== "string" ||
+    typeof password !== "string"
+  ) {
+    throw createError("Email and password are required", 400);
+  }
+
+  const user = await User.findOne({
+    email: email.trim().toLowerCase(),
+  }).select("+password");
+
+  // Same message for unknown email and wrong password
+  if (!user || !user.active || !(await user.comparePassword(password))) {
+    throw createError("Invalid email or password", 401);
+  }
+
+  user.lastLoginAt = new Date();
+  await user.save();
+
+  return {
+    token: signToken(user),
+    user,
+  };
+};
+
+module.exports = {
+  signToken,
+  verifyToken,
+  login,
+};
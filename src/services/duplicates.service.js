@@ -0,0 +1,216 @@
+const Lead = require("../models/Lead");
+const LeadNote = require("../models/LeadNote");
+const Task = require("../models/Task");
+const activityService = require("./activity.service");
+const scoringService = require("./scoring.service");
+const { emitEvent } = require("../events/eventBus");
+const { isValidObjectId, createError } = require("../utils/errors");
+
+// Attribution fields copied into the primary lead's sources on merge
+const SOURCE_FIELDS = [
+  "platform",
+  "platformLeadId",
+  "formId",
+  "formName",
+  "adId",
+  "adName",
+  "adsetId",
+  "adsetName",
+  "campaignId",
+  "campaignName",
+  "pageId",
+  "platformCreatedAt",
+  "receivedAt",
+];
+
+// Contact fields filled from the duplicate when the primary lacks them
+const CONTACT_FIELDS = [
+  "customerName",
+  "firstName",
+  "lastName",
+  "email",
+  "phone",
+];
+
+/**
+ * Build a query matching other leads with the same email or phone
+ */
+const buildMatchQuery = (lead) => {
+  const conditions = [];
+  if (lead.normalizedEmail) {
+    conditions.push({ normalizedEmail: lead.normalizedEmail });
+  }
+  if (lead.normalizedPhone) {
+    conditions.push({ normalizedPhone: lead.normalizedPhone });
+  }
+  if (conditions.length === 0) return null;
+
+  return { _id: { $ne: lead._id }, $or: conditions };
+};
+
+/**
+ * Find leads that share an email or phone with the given lead (oldest first)
+ */
+const findMatches = async (lead) => {
+  const query = buildMatchQuery(lead);
+  if (!query) return [];
+
+  const matches = await Lead.find(query).sort({ receivedAt: 1 });
+
+  return matches.map((match) => ({
+    lead: match,
+    matchedOn: [
+      lead.normalizedEmail && match.normalizedEmail === lead.normalizedEmail
+        ? "email"
+        : null,
+      lead.normalizedPhone && match.normalizedPhone === lead.normalizedPhone
+        ? "phone"
+        : null,
+    ].filter(Boolean),
+  }));
+};
+
+/**
+ * Flag a newly ingested lead as a duplicate of the oldest matching lead
+ */
+const flagDuplicate = async (lead) => {
+  const query = buildMatchQuery(lead);
+  if (!query) return lead;
+
+  const original = await Lead.findOne(query).sort({ receivedAt: 1 });
+  if (!original) return lead;
+
+  lead.duplicateOf = original.duplicateOf || original._id;
+  await Lead.updateOne({ _id: lead._id }, { duplicateOf: lead.duplicateOf });
+  console.log(`🔁 Lead ${lead._id} looks like a duplicate of ${original._id}`);
+  return lead;
+};
+
+/**
+ * Get possible duplicates of a lead
+ */
+const getDuplicates = async (id) => {
+  if (!id || !isValidObjectId(id)) {
+    throw createError("Invalid lead ID format", 400);
+  }
+
+  const lead = await Lead.findById(id);
+  if (!lead) {
+    throw createError("Lead not found", 404);
+  }
+
+  return findMatches(lead);
+};
+
+/**
+ * Merge a duplicate lead into a primary lead
+ * The duplicate's attribution and custom fields are preserved on the primary,
+ * its notes and tasks move over and the duplicate itself is removed.
+ */
+const mergeLeads = async (primaryId, duplicateId, user) => {
+  if (!primaryId || !isValidObjectId(primaryId)) {
+    throw createError("Invalid lead ID format", 400);
+  }
+  if (!duplicateId || !isValidObjectId(duplicateId)) {
+    throw createError("Invalid duplicate lead ID format", 400);
+  }
+  if (String(primaryId) === String(duplicateId)) {
+    throw createError("A lead cannot be merged into itself", 400);
+  }
+
+  const [primary, duplicate] = await Promise.all([
+    Lead.findById(primaryId),
+    Lead.findById(duplicateId),
+  ]);
+  if (!primary) {
+    throw createError("Lead not found", 404);
+  }
+  if (!duplicate) {
+    throw createError("Duplicate lead not found", 404);
+  }
+
+  const now = new Date();
+
+  // Preserve the duplicate's own attribution plus anything merged into it
+  const source = {
+    mergedFrom: duplicate._id,
+    mergedAt: now,
+    mergedBy: user?._id,
+    customFields: duplicate.customFields,
+  };
+  SOURCE_FIELDS.forEach((field) => {
+    source[field] = duplicate[field];
+  });
+  primary.sources.push(source, ...duplicate.sources);
+
+  // Fill gaps in contact details, primary values win
+  CONTACT_FIELDS.forEach((field) => {
+    if (!primary[field] && duplicate[field]) {
+      primary[field] = duplicate[field];
+    }
+  });
+
+  // Custom fields from both forms, primary values win on conflicts
+  primary.customFields = {
+    ...(duplicate.customFields || {}),
+    ...(primary.customFields || {}),
+  };
+  primary.markModified("customFields");
+
+  // Keep tags from both leads
+  duplicate.tags.forEach((tag) => {
+    if (!primary.tags.some((existing) => existing.equals(tag))) {
+      primary.tags.push(tag);
+    }
+  });
+
+  if (!primary.assignedTo && duplicate.assignedTo) {
+    primary.assignedTo = duplicate.assignedTo;
+    primary.assignedAt = duplicate.assignedAt;
+  }
+
+  if (primary.duplicateOf?.equals(duplicate._id)) {
+    primary.duplicateOf = null;
+  }
+
+  await primary.save();
+  // Answers copied from the duplicate may change the score
+  await scoringService.scoreLead(primary);
+
+  await Promise.all([
+    LeadNote.updateMany({ lead: duplicate._id }, { lead: primary._id }),
+    Task.updateMany({ lead: duplicate._id }, { lead: primary._id }),
+    Lead.updateMany(
+      { duplicateOf: duplicate._id },
+      { duplicateOf: primary._id },
+    ),
+  ]);
+
+  await duplicate.deleteOne();
+
+  await activityService.recordActivity({
+    lead: primary,
+    type: "merged",
+    actor: user,
+    metadata: {
+      mergedFrom: duplicate._id,
+      platform: duplicate.platform,
+      platformLeadId: duplicate.platformLeadId,
+    },
+  });
+
+  emitEvent("lead.merged", {
+    lead: primary,
+    mergedFrom: duplicate._id,
+    actor: user?._id || null,
+  });
+
+  return primary;
+};
+
+module.exports = {
+  findMatches,
+  flagDuplicate,
+  getDuplicates,
+  mergeLeads,
+};
@@ -0,0 +1,230 @@
+const { once } = require("events");
+const ExcelJS = require("exceljs");
+const Lead = require("../models/Lead");
+const leadsService = require("./leads.service");
+const { createError } = require("../utils/errors");
+
+const FORMATS = ["csv", "xlsx"];
+// Values exported as they are even when they start with + or -
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+const PHONE_PATTERN = /^\+[\d\s()-]+$/;
+
+// Fixed columns, followed by one column per custom field key
+const BASE_COLUMNS = [
+  { header: "ID", value: (lead) => lead._id.toString() },
+  { header: "Platform", value: (lead) => lead.platform },
+  { header: "Platform Lead ID", value: (lead) => lead.platformLeadId },
+  { header: "Source", value: (lead) => lead.source },
+  { header: "Status", value: (lead) => lead.status },
+  { header: "Score", value: (lead) => lead.score },
+  { header: "Customer Name", value: (lead) => lead.customerName },
+  { header: "First Name", value: (lead) => lead.firstName },
+  { header: "Last Name", value: (lead) => lead.lastName },
+  { header: "Email", value: (lead) => lead.email },
+  { header: "Phone", value: (lead) => lead.phone },
+  { header: "Phone (E.164)", value: (lead) => lead.phoneE164 },
+  { header: "Phone Valid", value: (lead) => lead.phoneValid },
+  { header: "Assigned To", value: (lead) => lead.assignedTo?.name },
+  {
+    header: "Tags",
+    value: (lead) => (lead.tags || []).map((tag) => tag.name).join(", "),
+  },
+  { header: "Campaign ID", value: (lead) => lead.campaignId },
+  { header: "Campaign", value: (lead) => lead.campaignName },
+  { header: "Ad Set ID", value: (lead) => lead.adsetId },
+  { header: "Ad Set", value: (lead) => lead.adsetName },
+  { header: "Ad ID", value: (lead) => lead.adId },
+  { header: "Ad", value: (lead) => lead.adName },
+  { header: "Form ID", value: (lead) => lead.formId },
+  { header: "Form", value: (lead) => lead.formName },
+  { header: "Submitted At", value: (lead) => lead.platformCreatedAt },
+  { header: "Received At", value: (lead) => lead.receivedAt },
+  { header: "First Response At", value: (lead) => lead.firstResponseAt },
+  { header: "SLA Status", value: (lead) => lead.sla?.status },
+];
+
+/**
+ * Collect every custom field key used by the matching leads
+ */
+const getCustomFieldKeys = async (query) => {
+  const keys = await Lead.aggregate([
+    { $match: query },
+    {
+      $project: {
+        keys: {
+          $map: {
+            input: { $objectToArray: { $ifNull: ["$customFields", {}] } },
+            in: "$$this.k",
+          },
+        },
+      },
+    },
+    { $unwind: "$keys" },
+    { $group: { _id: "$keys" } },
+    { $sort: { _id: 1 } },
+  ]);
+  return keys.map((key) => key._id);
+};
+
+/**
+ * Build export columns for the matching leads
+ */
+const getColumns = async (query) => {
+  const customKeys = await getCustomFieldKeys(query);
+  return [
+    ...BASE_COLUMNS,
+    ...customKeys.map((key) => ({
+      header: key,
+      value: (lead) => lead.customFields?.[key],
+    })),
+  ];
+};
+
+/**
+ * Format a value as a CSV cell
+ * Cells that spreadsheets would run as formulas are prefixed with a quote,
+ * except plain numbers and phone numbers
+ */
+const toCsvCell = (value) => {
+  if (value === undefined || value === null) return "";
+
+  let str =
+    value instanceof Date
+      ? value.toISOString()
+      : typeof value === "object"
+        ? JSON.stringify(value)
+        : String(value);
+
+  if (
+    /^[=+\-@\t\r]/.test(str) &&
+    !NUMBER_PATTERN.test(str) &&
+    !PHONE_PATTERN.test(str)
+  ) {
+    str = `'${str}`;
+  }
+
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+/**
+ * Format a value as an Excel cell
+ */
+const toXlsxCell = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date || typeof value !== "object") return value;
+  return JSON.stringify(value);
+};
+
+/**
+ * Stop the export once the client has gone away
+ */
+const ensureOpen = (stream) => {
+  if (stream.destroyed) {
+    throw new Error("Client disconnected during export");
+  }
+};
+
+/**
+ * Write to a stream, waiting when its buffer is full
+ * A closed stream never drains, so closing ends the wait with an error
+ */
+const write = async (stream, chunk) => {
+  ensureOpen(stream);
+  if (stream.write(chunk)) return;
+
+  const controller = new AbortController();
+  try {
+    await Promise.race([
+      once(stream, "drain", { signal: controller.signal }),
+      once(stream, "close", { signal: controller.signal }).then(() =>
+        ensureOpen(stream),
+      ),
+    ]);
+  } finally {
+    controller.abort();
+  }
+};
+
+/**
+ * Stream leads as CSV
+ */
+const writeCsv = async (cursor, columns, stream) => {
+  // BOM so Excel reads UTF-8 (e.g. Arabic names) correctly
+  await write(
+    stream,
+    "\uFEFF" +
+      columns.map((column) => toCsvCell(column.header)).join(",") +
+      "\r\n",
+  );
+
+  for await (const lead of cursor) {
+    const row = columns.map((column) => toCsvCell(column.value(lead)));
+    await write(stream, row.join(",") + "\r\n");
+  }
+
+  stream.end();
+};
+
+/**
+ * Stream leads as an Excel workbook
+ */
+const writeXlsx = async (cursor, columns, stream) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream,
+    useStyles: true,
+  });
+  const sheet = workbook.addWorksheet("Leads");
+  sheet.columns = columns.map((column) => ({
+    header: column.header,
+    width: 20,
+  }));
+  sheet.getRow(1).font = { bold: true };
+
+  // The workbook writes to the stream itself, so check it between rows
+  for await (const lead of cursor) {
+    ensureOpen(stream);
+    sheet
+      .addRow(columns.map((column) => toXlsxCell(column.value(lead))))
+      .commit();
+  }
+
+  sheet.commit();
+  await workbook.commit();
+};
+
+/**
+ * Stream all leads matching the list filters to a writable stream
+ */
+const exportLeads = async (filters, options, format, stream) => {
+  if (!FORMATS.includes(format)) {
+    throw createError(
+      `Invalid format. Must be one of: ${FORMATS.join(", ")}`,
+      400,
+    );
+  }
+
+  const query = await leadsService.buildLeadQuery(filters);
+  const columns = await getColumns(query);
+
+  const cursor = Lead.find(query)
+    .sort(leadsService.buildLeadSort(options))
+    .populate("assignedTo", "name")
+    .populate("tags", "name")
+    .lean()
+    .cursor();
+
+  try {
+    if (format === "xlsx") {
+      await writeXlsx(cursor, columns, stream);
+    } else {
+      await writeCsv(cursor, columns, stream);
+    }
+  } finally {
+    await cursor.close();
+  }
+};
+
+module.exports = {
+  FORMATS,
+  exportLeads,
+};
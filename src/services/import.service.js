@@ -0,0 +1,241 @@
+const crypto = require("crypto");
+const { parse } = require("csv-parse/sync");
+const Lead = require("../models/Lead");
+const ingestionService = require("./ingestion.service");
+const { createError } = require("../utils/errors");
+const { isValidEmail } = require("../utils/validators");
+const { normalizeEmail, normalizePhone } = require("../utils/normalize");
+
+const MAX_ROWS = 5000;
+const DUPLICATE_MODES = ["skip", "create"];
+
+// Lead fields a CSV column can be mapped to (plus "customFields.<key>")
+const MAPPABLE_FIELDS = [
+  "customerName",
+  "firstName",
+  "lastName",
+  "email",
+  "phone",
+  "campaignName",
+  "adName",
+  "formName",
+  "platformCreatedAt",
+];
+
+/**
+ * Parse and validate the column mapping ({ "CSV column": "lead field" })
+ */
+const parseMapping = (mapping, columns) => {
+  let parsed = mapping;
+  if (typeof mapping === "string") {
+    try {
+      parsed = JSON.parse(mapping);
+    } catch (error) {
+      throw createError("Mapping must be valid JSON", 400);
+    }
+  }
+
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw createError("Mapping must map CSV columns to lead fields", 400);
+  }
+
+  Object.entries(parsed).forEach(([column, target]) => {
+    if (!columns.includes(column)) {
+      throw createError(`Mapped column "${column}" is not in the file`, 400);
+    }
+    const isCustomField = /^customFields\.[^.$]+$/.test(target);
+    if (!MAPPABLE_FIELDS.includes(target) && !isCustomField) {
+      throw createError(
+        `Cannot map "${column}" to "${target}". Use one of: ${MAPPABLE_FIELDS.join(", ")} or customFields.<name>`,
+        400,
+      );
+    }
+  });
+
+  // A row must be able to identify someone
+  const contactFields = [
+    "customerName",
+    "firstName",
+    "lastName",
+    "email",
+    "phone",
+  ];
+  if (!contactFields.some((field) => Object.values(parsed).includes(field))) {
+    throw createError(`Map at least one of: ${contactFields.join(", ")}`, 400);
+  }
+
+  return parsed;
+};
+
+/**
+ * Build lead data from a CSV row, throwing a message for invalid rows
+ */
+const buildRowData = (row, mapping) => {
+  const data = { customFields: {} };
+
+  Object.entries(mapping).forEach(([column, target]) => {
+    const value = typeof row[column] === "string" ? row[column].trim() : "";
+    if (!value) return;
+
+    if (target.startsWith("customFields.")) {
+      data.customFields[target.slice("customFields.".length)] = value;
+    } else {
+      data[target] = value;
+    }
+  });
+
+  if (!data.customerName && (data.firstName || data.lastName)) {
+    data.customerName = [data.firstName, data.lastName]
+      .filter(Boolean)
+      .join(" ");
+  }
+
+  if (!data.customerName && !data.email && !data.phone) {
+    throw new Error("Row has no name, email or phone");
+  }
+  if (data.email && !isValidEmail(data.email)) {
+    throw new Error(`Invalid email "${data.email}"`);
+  }
+  if (data.platformCreatedAt) {
+    const date = new Date(data.platformCreatedAt);
+    if (isNaN(date)) {
+      throw new Error(`Invalid date "${data.platformCreatedAt}"`);
+    }
+    data.platformCreatedAt = date;
+  }
+
+  return data;
+};
+
+/**
+ * Find an existing lead sharing the row's email or phone
+ */
+const findExisting = async (data) => {
+  const conditions = [];
+  const email = normalizeEmail(data.email);
+  const phone = normalizePhone(data.phone);
+  if (email) conditions.push({ normalizedEmail: email });
+  if (phone) conditions.push({ normalizedPhone: phone });
+  if (conditions.length === 0) return null;
+
+  return Lead.findOne({ $or: conditions })
+    .select("_id")
+    .sort({ receivedAt: 1 });
+};
+
+/**
+ * Import leads from a CSV file
+ * Every row is reported as created, duplicate or error
+ */
+const importLeads = async (
+  file,
+  { mapping, onDuplicate = "skip" } = {},
+  user,
+) => {
+  if (!file || !file.buffer) {
+    throw createError("A CSV file is required", 400);
+  }
+  if (!DUPLICATE_MODES.includes(onDuplicate)) {
+    throw createError(
+      `Invalid onDuplicate. Must be one of: ${DUPLICATE_MODES.join(", ")}`,
+      400,
+    );
+  }
+
+  let rows;
+  try {
+    rows = parse(file.buffer, {
+      columns: true,
+      bom: true,
+      skip_empty_lines: true,
+      trim: true,
+      relax_column_count: true,
+    });
+  } catch (error) {
+    throw createError(`Could not read CSV: ${error.message}`, 400);
+  }
+
+  if (rows.length === 0) {
+    throw createError("The CSV file has no rows", 400);
+  }
+  if (rows.length > MAX_ROWS) {
+    throw createError(`A file can contain at most ${MAX_ROWS} rows`, 400);
+  }
+
+  const columnMapping = parseMapping(mapping, Object.keys(rows[0]));
+  const importBatch = crypto.randomUUID();
+  const report = {
+    importBatch,
+    total: rows.length,
+    created: 0,
+    duplicates: 0,
+    failed: 0,
+    rows: [],
+  };
+
+  // Catch duplicates inside the file itself
+  const seenEmails = new Set();
+  const seenPhones = new Set();
+
+  for (const [index, row] of rows.entries()) {
+    // Row numbers as seen in a spreadsheet (header is row 1)
+    const result = { row: index + 2 };
+
+    try {
+      const data = buildRowData(row, columnMapping);
+      const email = normalizeEmail(data.email);
+      const phone = normalizePhone(data.phone);
+
+      if (onDuplicate === "skip") {
+        const existing = await findExisting(data);
+        const repeated =
+          (email && seenEmails.has(email)) || (phone && seenPhones.has(phone));
+        if (existing || repeated) {
+          result.status = "duplicate";
+          result.duplicateOf = existing?._id || null;
+          report.duplicates++;
+          report.rows.push(result);
+          continue;
+        }
+      }
+
+      const { lead } = await ingestionService.upsertPlatformLead(
+        "import",
+        `import-${crypto.randomUUID()}`,
+        {
+          ...data,
+          importBatch,
+          platformCreatedAt: data.platformCreatedAt || new Date(),
+          receivedAt: new Date(),
+        },
+        { actor: user },
+      );
+
+      if (email) seenEmails.add(email);
+      if (phone) seenPhones.add(phone);
+
+      result.status = "created";
+      result.leadId = lead._id;
+      if (lead.duplicateOf) result.duplicateOf = lead.duplicateOf;
+      if (lead.phone && lead.phoneValid === false) {
+        result.warning = `Phone "${lead.phone}" does not look dialable`;
+      }
+      report.created++;
+    } catch (error) {
+      result.status = "error";
+      result.error = error.message;
+      report.failed++;
+    }
+
+    report.rows.push(result);
+  }
+
+  console.log(
+    `📄 Import ${importBatch}: ${report.created} created, ${report.duplicates} duplicates, ${report.failed} failed`,
+  );
+  return report;
+};
+
+module.exports = {
+  importLeads,
+};
@@ -0,0 +1,99 @@
+const Lead = require("../models/Lead");
+const assignmentService = require("./assignment.service");
+const activityService = require("./activity.service");
+const duplicatesService = require("./duplicates.service");
+const pipelinesService = require("./pipelines.service");
+const scoringService = require("./scoring.service");
+const slaService = require("./sla.service");
+const { emitEvent } = require("../events/eventBus");
+
+/**
+ * Create or update a lead received from an ad platform (or entered by a user)
+ * Backfilled leads skip the response SLA and new-lead notifications,
+ * since they arrive long after they were submitted
+ * Returns the saved lead and whether it was newly created
+ */
+const upsertPlatformLead = async (
+  platform,
+  platformLeadId,
+  data,
+  { actor = null, backfilled = false } = {},
+) => {
+  // Leads merged into another lead are re-delivered to the merged lead
+  const mergedInto = await Lead.findOne({
+    "sources.platform": platform,
+    "sources.platformLeadId": platformLeadId,
+  });
+  if (mergedInto) {
+    await activityService.recordActivity({
+      lead: mergedInto,
+      type: "reingested",
+      metadata: { platform, platformLeadId, merged: true },
+    });
+    return { lead: mergedInto, created: false };
+  }
+
+  // Pipeline and starting stage only apply when the lead is first created
+  const pipeline = await pipelinesService.resolvePipeline(data);
+
+  const result = await Lead.findOneAndUpdate(
+    { platform, platformLeadId },
+    {
+      ...data,
+      platform,
+      platformLeadId,
+      $setOnInsert: {
+        pipeline: pipeline._id,
+        status: pipelinesService.getInitialStage(pipeline),
+        statusChangedAt: new Date(),
+      },
+    },
+    {
+      upsert: true,
+      new: true,
+      runValidators: true,
+      includeResultMetadata: true,
+    },
+  );
+
+  let lead = result.value;
+  const created = !result.lastErrorObject?.updatedExisting;
+
+  await activityService.recordActivity({
+    lead,
+    type: created ? "created" : "reingested",
+    actor,
+    metadata: { platform, platformLeadId },
+  });
+
+  // Re-delivered answers may change the score too
+  lead = await scoringService.scoreLead(lead);
+
+  if (created) {
+    // Follow-up steps must never lose the lead itself
+    try {
+      lead = await duplicatesService.flagDuplicate(lead);
+      lead = await assignmentService.assignLead(lead);
+      if (!backfilled) {
+        lead = await slaService.applyPolicy(lead);
+      }
+    } catch (error) {
+      console.error(
+        `⚠️ Failed to process new lead ${lead._id}:`,
+        error.message,
+      );
+    }
+
+    emitEvent("lead.created", {
+      lead,
+      actor: actor?._id || actor,
+      backfilled,
+    });
+  }
+
+  return { lead, created };
+};
+
+module.exports = {
+  upsertPlatformLead,
+};
@@ -0,0 +1,151 @@
+const crypto = require("crypto");
+const Lead = require("../models/Lead");
+const { eventBus } = require("../events/eventBus");
+const { isValidObjectId, createError } = require("../utils/errors");
+
+// Lead events pushed to connected dashboards
+const STREAM_EVENTS = ["lead.created", "lead.updated", "lead.sla_breached"];
+// Comment line sent regularly so proxies keep idle connections open
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+const clients = new Set();
+let heartbeat = null;
+
+/**
+ * Validate stream filters
+ * platform: comma-separated platforms; assignedTo: user ID or "unassigned"
+ */
+const parseFilters = (filters = {}) => {
+  const parsed = {};
+
+  if (filters.platform) {
+    parsed.platforms = String(filters.platform).split(",");
+    const unknown = parsed.platforms.filter(
+      (platform) => !Lead.PLATFORMS.includes(platform),
+    );
+    if (unknown.length > 0) {
+      throw createError(
+        `Invalid platform. Must be one of: ${Lead.PLATFORMS.join(", ")}`,
+        400,
+      );
+    }
+  }
+
+  if (filters.assignedTo) {
+    if (
+      filters.assignedTo !== "unassigned" &&
+      !isValidObjectId(filters.assignedTo)
+    ) {
+      throw createError("Invalid assignee ID format", 400);
+    }
+    parsed.assignedTo = String(filters.assignedTo);
+  }
+
+  return parsed;
+};
+
+/**
+ * Whether an event concerns the leads a client asked for
+ * With an assignee filter, leads reassigned away from them are still sent
+ */
+const matchesFilters = (filters, { lead, changes = [] }) => {
+  if (filters.platforms && !filters.platforms.includes(lead.platform)) {
+    return false;
+  }
+
+  if (filters.assignedTo === "unassigned") {
+    return !lead.assignedTo;
+  }
+  if (filters.assignedTo) {
+    const wasAssigned = changes.some(
+      (change) =>
+        change.field === "assignedTo" &&
+        String(change.from) === filters.assignedTo,
+    );
+    return String(lead.assignedTo) === filters.assignedTo || wasAssigned;
+  }
+
+  return true;
+};
+
+/**
+ * Write one Server-Sent Event to a client
+ */
+const send = (client, event, data) => {
+  client.res.write(
+    `id: ${crypto.randomUUID()}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`,
+  );
+};
+
+/**
+ * Push a lead event to every client whose filters match
+ */
+const broadcast = (event, payload) => {
+  const data = { lead: payload.lead, changes: payload.changes };
+  for (const client of clients) {
+    try {
+      if (matchesFilters(client.filters, payload)) {
+        send(client, event, data);
+      }
+    } catch (error) {
+      console.error("⚠️ Failed to push lead event:", error.message);
+    }
+  }
+};
+
+/**
+ * Push lead events to connected clients as they happen
+ */
+const registerEventListeners = () => {
+  STREAM_EVENTS.forEach((event) => {
+    eventBus.on(event, (payload) => broadcast(event, payload));
+  });
+};
+
+/**
+ * Keep a response open as an event stream until the client disconnects
+ */
+const addClient = (req, res, filters) => {
+  const client = { res, user: req.user, filters: parseFilters(filters) };
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    // Disable response buffering in nginx
+    "X-Accel-Buffering": "no",
+  });
+  // Reconnect after 5 seconds if the connection drops
+  res.write("retry: 5000\n\n");
+
+  clients.add(client);
+  if (!heartbeat) {
+    heartbeat = setInterval(() => {
+      clients.forEach((connected) => connected.res.write(": ping\n\n"));
+    }, HEARTBEAT_INTERVAL_MS);
+  }
+
+  req.on("close", () => {
+    clients.delete(client);
+    if (clients.size === 0) {
+      clearInterval(heartbeat);
+      heartbeat = null;
+    }
+  });
+};
+
+/**
+ * End every open stream (on shutdown, so the HTTP server can close)
+ */
+const closeAll = () => {
+  clients.forEach((client) => client.res.end());
+  clients.clear();
+  clearInterval(heartbeat);
+  heartbeat = null;
+};
+
+module.exports = {
+  registerEventListeners,
+  addClient,
+  closeAll,
+};
@@ -1,34 +1,218 @@
+const crypto = require("crypto");
 const mongoose = require("mongoose");
 const Lead = require("../models/Lead");
+const Tag = require("../models/Tag");
+const Task = require("../models/Task");
+const LeadNote = require("../models/LeadNote");
+const LeadActivity = require("../models/LeadActivity");
+const assignmentService = require("./assignment.service");
+const activityService = require("./activity.service");
+const notesService = require("./notes.service");
+const ingestionService = require("./ingestion.service");
+const duplicatesService = require("./duplicates.service");
+const tagsService = require("./tags.service");
+const pipelinesService = require("./pipelines.service");
+const scoringService = require("./scoring.service");
+const slaService = require("./sla.service");
+const { emitEvent } = require("../events/eventBus");
+const { isValidObjectId, createError } = require("../utils/errors");
+const { isValidEmail } = require("../utils/validators");
+const {
+  DAY_MS,
+  resolveTimezone,
+  toWallClock,
+  startOfDay,
+  startOfNextDay,
+  parseDateInput,
+} = require("../utils/timezone");
+
+// Actions supported by bulk updates
+const BULK_ACTIONS = [
+  "set_status",
+  "assign",
+  "add_tag",
+  "remove_tag",
+  "delete",
+];
+const TAG_MATCH_MODES = ["any", "all"];
+const BULK_LIMIT = 5000;
 
 /**
- * Validate MongoDB ObjectId
+ * Sanitize string input
  */
-const isValidObjectId = (id) => {
-  return mongoose.Types.ObjectId.isValid(id);
+const sanitizeString = (str) => {
+  if (typeof str !== "string") return str;
+  return str.trim().slice(0, 1000); // Limit string length
 };
 
 /**
- * Create standardized error with status code
+ * Escape user input for use inside a regular expression
  */
-const createError = (message, status = 400) => {
-  const error = new Error(message);
-  error.status = status;
-  return error;
+const escapeRegex = (str) => {
+  return String(str).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+};
+
+// Most buckets a chart may return
+const MAX_CHART_BUCKETS = 1000;
+
+const pad = (value) => String(value).padStart(2, "0");
+const dayLabel = (date) =>
+  `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+
+// Chart bucket sizes: the wall-clock bucket start, the next bucket,
+// its label, and the matching aggregation expression
+const CHART_BUCKETS = {
+  hour: {
+    start: (wallClock) => wallClock - (wallClock % (60 * 60 * 1000)),
+    next: (wallClock) => wallClock + 60 * 60 * 1000,
+    label: (date) => `${dayLabel(date)}T${pad(date.getUTCHours())}:00`,
+    expression: (date, timezone) => ({
+      $dateToString: { format: "%Y-%m-%dT%H:00", date, timezone },
+    }),
+  },
+  day: {
+    start: (wallClock) => wallClock - (wallClock % DAY_MS),
+    next: (wallClock) => wallClock + DAY_MS,
+    label: dayLabel,
+    expression: (date, timezone) => ({
+      $dateToString: { format: "%Y-%m-%d", date, timezone },
+    }),
+  },
+  week: {
+    start: (wallClock) => {
+      const day = wallClock - (wallClock % DAY_MS);
+      return day - ((new Date(day).getUTCDay() + 6) % 7) * DAY_MS;
+    },
+    next: (wallClock) => wallClock + 7 * DAY_MS,
+    label: dayLabel,
+    // Monday of the ISO week the date falls in
+    expression: (date, timezone) => ({
+      $dateToString: {
+        format: "%Y-%m-%d",
+        date: {
+          $dateFromParts: {
+            isoWeekYear: { $isoWeekYear: { date, timezone } },
+            isoWeek: { $isoWeek: { date, timezone } },
+            isoDayOfWeek: 1,
+            timezone,
+          },
+        },
+        timezone,
+      },
+    }),
+  },
+  month: {
+    start: (wallClock) => {
+      const date = new Date(wallClock);
+      return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+    },
+    next: (wallClock) => {
+      const date = new Date(wallClock);
+      return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+    },
+    label: (date) => `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}`,
+    expression: (date, timezone) => ({
+      $dateToString: { format: "%Y-%m", date, timezone },
+    }),
+  },
+};
+
+// Outbound events for activity entries that have their own event type
+const ACTIVITY_EVENTS = {
+  status_changed: "lead.status_changed",
+  assigned: "lead.assigned",
 };
 
 /**
- * Sanitize string input
+ * Record activity entries for the fields an update actually changed
+ * and emit the matching lead events
  */
-const sanitizeString = (str) => {
-  if (typeof str !== "string") return str;
-  return str.trim().slice(0, 1000); // Limit string length
+const recordLeadChanges = async (lead, previous, actor) => {
+  const isChanged = (field) =>
+    field in previous &&
+    String(previous[field] ?? "") !== String(lead[field] ?? "");
+  const entries = [];
+
+  if (isChanged("status")) {
+    entries.push({
+      type: "status_changed",
+      changes: [{ field: "status", from: previous.status, to: lead.status }],
+      metadata: {
+        // How long the lead sat in the previous status
+        previousStatusDurationMs:
+          lead.statusChangedAt - new Date(previous.statusChangedAt),
+      },
+    });
+  }
+
+  if (isChanged("assignedTo")) {
+    entries.push({
+      type: "assigned",
+      changes: [
+        { field: "assignedTo", from: previous.assignedTo, to: lead.assignedTo },
+      ],
+    });
+  }
+
+  const fieldChanges = ["pipeline", "customerName", "email", "phone"]
+    .filter(isChanged)
+    .map((field) => ({ field, from: previous[field], to: lead[field] }));
+  if (fieldChanges.length > 0) {
+    entries.push({ type: "field_updated", changes: fieldChanges });
+  }
+
+  await Promise.all(
+    entries.map((entry) =>
+      activityService.recordActivity({ ...entry, lead, actor }),
+    ),
+  );
+
+  if (entries.length === 0) return;
+
+  // Moving a lead on counts as responding to it
+  if (isChanged("status") && actor) {
+    await slaService.recordFirstResponse(lead._id, actor, lead.statusChangedAt);
+  }
+
+  const actorId = actor?._id || actor || null;
+  entries.forEach((entry) => {
+    if (ACTIVITY_EVENTS[entry.type]) {
+      emitEvent(ACTIVITY_EVENTS[entry.type], {
+        lead,
+        changes: entry.changes,
+        actor: actorId,
+      });
+    }
+  });
+  emitEvent("lead.updated", {
+    lead,
+    changes: entries.flatMap((entry) => entry.changes),
+    actor: actorId,
+  });
 };
 
 /**
- * Get all leads with filters
+ * Build a receivedAt range from fromDate/toDate filters
+ * Bare "YYYY-MM-DD" dates cover that whole day in the timezone
  */
-const getLeads = async (filters = {}, options = {}) => {
+const buildDateRange = (filters, timezone) => {
+  const range = {};
+  if (filters.fromDate) {
+    range.$gte = parseDateInput(filters.fromDate, timezone);
+    if (!range.$gte) throw createError("Invalid fromDate", 400);
+  }
+  if (filters.toDate) {
+    range.$lte = parseDateInput(filters.toDate, timezone, { endOfDay: true });
+    if (!range.$lte) throw createError("Invalid toDate", 400);
+  }
+  return range;
+};
+
+/**
+ * Build lead query from list filters
+ * Values are cast to their schema types so the query also works in aggregations
+ */
+const buildLeadQuery = async (filters = {}) => {
   const query = {};
 
   // Platform filter
@@ -36,11 +220,89 @@ const getLeads = async (filters = {}, options = {}) => {
     query.platform = filters.platform;
   }
 
+  // Source filter (manually entered leads)
+  if (filters.source) {
+    query.source = filters.source;
+  }
+
+  // Pipeline filter
+  if (filters.pipeline) {
+    const pipeline = await pipelinesService.getPipelineById(filters.pipeline);
+    query.pipeline = pipelinesService.getPipelineMatch(pipeline);
+  }
+
   // Status filter
   if (filters.status) {
     query.status = filters.status;
   }
 
+  // Tag filter: leads with any (default) or all of the given tags
+  if (filters.tags) {
+    const tagIds = Array.isArray(filters.tags)
+      ? filters.tags
+      : String(filters.tags).split(",");
+    if (!tagIds.every((id) => isValidObjectId(id))) {
+      throw createError("Invalid tag ID format", 400);
+    }
+
+    const tagsMatch = filters.tagsMatch || "any";
+    if (!TAG_MATCH_MODES.includes(tagsMatch)) {
+      throw createError(
+        `Invalid tagsMatch. Must be one of: ${TAG_MATCH_MODES.join(", ")}`,
+        400,
+      );
+    }
+
+    query.tags = {
+      [tagsMatch === "all" ? "$all" : "$in"]: tagIds.map(
+        (id) => new mongoose.Types.ObjectId(String(id)),
+      ),
+    };
+  }
+
+  // Score range filter
+  if (filters.minScore !== undefined || filters.maxScore !== undefined) {
+    query.score = {};
+    [
+      ["minScore", "$gte"],
+      ["maxScore", "$lte"],
+    ].forEach(([filter, operator]) => {
+      if (filters[filter] === undefined || filters[filter] === "") return;
+      const value = Number(filters[filter]);
+      if (isNaN(value)) {
+        throw createError(`${filter} must be a number`, 400);
+      }
+      query.score[operator] = value;
+    });
+    if (Object.keys(query.score).length === 0) {
+      delete query.score;
+    }
+  }
+
+  // SLA filter (pending, met or breached)
+  if (filters.slaStatus) {
+    if (!Lead.SLA_STATUSES.includes(filters.slaStatus)) {
+      throw createError(
+        `Invalid slaStatus. Must be one of: ${Lead.SLA_STATUSES.join(", ")}`,
+        400,
+      );
+    }
+    query["sla.status"] = filters.slaStatus;
+  }
+
+  // Assignee filter ("unassigned" matches leads without an owner)
+  if (filters.assignedTo) {
+    if (filters.assignedTo === "unassigned") {
+      query.assignedTo = null;
+    } else if (isValidObjectId(filters.assignedTo)) {
+      query.assignedTo = new mongoose.Types.ObjectId(
+        String(filters.assignedTo),
+      );
+    } else {
+      throw createError("Invalid assignedTo filter", 400);
+    }
+  }
+
   // Date range filter
   if (filters.fromDate || filters.toDate) {
     query.receivedAt = {};
@@ -52,24 +314,47 @@ const getLeads = async (filters = {}, options = {}) => {
     }
   }
 
+  // Phone validity filter ("false" lists numbers not worth dialling)
+  if (filters.phoneValid !== undefined) {
+    query.phoneValid =
+      filters.phoneValid === "true" || filters.phoneValid === true;
+  }
+
   // Search filter
   if (filters.search) {
+    const search = escapeRegex(filters.search);
     query.$or = [
-      { customerName: { $regex: filters.search, $options: "i" } },
-      { email: { $regex: filters.search, $options: "i" } },
-      { phone: { $regex: filters.search, $options: "i" } },
+      { customerName: { $regex: search, $options: "i" } },
+      { email: { $regex: search, $options: "i" } },
+      { phone: { $regex: search, $options: "i" } },
+      { phoneE164: { $regex: search, $options: "i" } },
     ];
   }
 
+  return query;
+};
+
+/**
+ * Build sort from list options
+ */
+const buildLeadSort = (options = {}) => {
+  const sortField = options.sortBy || "receivedAt";
+  const sortOrder = options.sortOrder === "asc" ? 1 : -1;
+  return { [sortField]: sortOrder };
+};
+
+/**
+ * Get all leads with filters
+ */
+const getLeads = async (filters = {}, options = {}) => {
+  const query = await buildLeadQuery(filters);
+
   // Pagination
   const page = parseInt(options.page) || 1;
   const limit = parseInt(options.limit) || 20;
   const skip = (page - 1) * limit;
 
-  // Sorting
-  const sortField = options.sortBy || "receivedAt";
-  const sortOrder = options.sortOrder === "asc" ? 1 : -1;
-  const sort = { [sortField]: sortOrder };
+  const sort = buildLeadSort(options);
 
   const [leads, total] = await Promise.all([
     Lead.find(query).sort(sort).skip(skip).limit(limit),
@@ -102,10 +387,130 @@ const getLeadById = async (id) => {
   return lead;
 };
 
+/**
+ * Create a lead entered by hand (phone calls, walk-ins, referrals)
+ * Returns the lead along with existing leads sharing its email or phone
+ */
+const createLead = async (data, user) => {
+  if (!data || typeof data !== "object") {
+    throw createError("Lead data is required", 400);
+  }
+
+  if (!Lead.SOURCES.includes(data.source)) {
+    throw createError(
+      `Invalid source. Must be one of: ${Lead.SOURCES.join(", ")}`,
+      400,
+    );
+  }
+
+  const allowedFields = [
+    "customerName",
+    "firstName",
+    "lastName",
+    "email",
+    "phone",
+    "country",
+    "campaignName",
+  ];
+  const filteredData = {};
+
+  for (const field of allowedFields) {
+    if (typeof data[field] === "string" && data[field].trim()) {
+      filteredData[field] = sanitizeString(data[field]);
+    }
+  }
+
+  if (
+    !filteredData.customerName &&
+    (filteredData.firstName || filteredData.lastName)
+  ) {
+    filteredData.customerName = [filteredData.firstName, filteredData.lastName]
+      .filter(Boolean)
+      .join(" ");
+  }
+
+  if (
+    !filteredData.customerName &&
+    !filteredData.email &&
+    !filteredData.phone
+  ) {
+    throw createError("A name, email or phone is required", 400);
+  }
+
+  // Validate email format
+  if (filteredData.email && !isValidEmail(filteredData.email)) {
+    throw createError("Invalid email format", 400);
+  }
+
+  if (data.customFields !== undefined) {
+    if (
+      !data.customFields ||
+      typeof data.customFields !== "object" ||
+      Array.isArray(data.customFields)
+    ) {
+      throw createError("customFields must be an object", 400);
+    }
+    filteredData.customFields = data.customFields;
+  }
+
+  // Choosing the owner is reserved for admins and managers;
+  // otherwise the assignment rules pick one
+  if (data.assignedTo !== undefined && data.assignedTo !== null) {
+    if (user && !["admin", "manager"].includes(user.role)) {
+      throw createError("Only admins and managers can assign leads", 403);
+    }
+    const assignee = await assignmentService.resolveAssignee(data.assignedTo);
+    if (assignee) {
+      filteredData.assignedTo = assignee._id;
+      filteredData.assignedAt = new Date();
+    }
+  }
+
+  const now = new Date();
+  const { lead } = await ingestionService.upsertPlatformLead(
+    "manual",
+    `manual-${crypto.randomUUID()}`,
+    {
+      ...filteredData,
+      source: data.source,
+      platformCreatedAt: now,
+      receivedAt: now,
+    },
+    { actor: user },
+  );
+
+  const noteBody = typeof data.notes === "string" ? data.notes.trim() : "";
+  if (noteBody) {
+    await notesService.addNote(
+      lead._id,
+      { type: data.source === "phone" ? "call" : "note", body: noteBody },
+      user,
+    );
+  }
+
+  // Existing leads are reported so reception can merge instead of re-entering
+  const duplicates = await duplicatesService.findMatches(lead);
+
+  return {
+    lead,
+    duplicates: duplicates.map(({ lead: match, matchedOn }) => ({
+      _id: match._id,
+      customerName: match.customerName,
+      email: match.email,
+      phone: match.phone,
+      platform: match.platform,
+      status: match.status,
+      assignedTo: match.assignedTo,
+      receivedAt: match.receivedAt,
+      matchedOn,
+    })),
+  };
+};
+
 /**
  * Update lead
  */
-const updateLead = async (id, updateData) => {
+const updateLead = async (id, updateData, user) => {
   if (!id || !isValidObjectId(id)) {
     throw createError("Invalid lead ID format", 400);
   }
@@ -115,24 +520,14 @@ const updateLead = async (id, updateData) => {
   }
 
   // Only allow updating certain fields
-  const allowedFields = ["status", "notes", "customerName", "email", "phone"];
-  const validStatuses = ["new", "contacted", "qualified", "converted", "lost"];
+  const allowedFields = ["status", "customerName", "email", "phone"];
   const filteredData = {};
 
   for (const field of allowedFields) {
     if (updateData[field] !== undefined) {
-      // Validate status field
-      if (field === "status" && !validStatuses.includes(updateData[field])) {
-        throw createError(
-          `Invalid status. Must be one of: ${validStatuses.join(", ")}`,
-          400,
-        );
-      }
-
       // Validate email format
       if (field === "email" && updateData[field]) {
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!emailRegex.test(updateData[field])) {
+        if (!isValidEmail(updateData[field])) {
           throw createError("Invalid email format", 400);
         }
       }
@@ -141,22 +536,106 @@ const updateLead = async (id, updateData) => {
     }
   }
 
-  if (Object.keys(filteredData).length === 0) {
-    throw createError("No valid fields to update", 400);
+  // Reassignment is reserved for admins and managers
+  if (updateData.assignedTo !== undefined) {
+    if (user && !["admin", "manager"].includes(user.role)) {
+      throw createError("Only admins and managers can reassign leads", 403);
+    }
+    const assignee = await assignmentService.resolveAssignee(
+      updateData.assignedTo,
+    );
+    filteredData.assignedTo = assignee ? assignee._id : null;
+    filteredData.assignedAt = assignee ? new Date() : null;
   }
 
-  const lead = await Lead.findByIdAndUpdate(id, filteredData, {
-    new: true,
-    runValidators: true,
-  });
+  // Notes are appended to the lead's notes instead of overwriting them
+  const noteBody =
+    typeof updateData.notes === "string" ? updateData.notes.trim() : "";
+  const hasNote = noteBody.length > 0;
 
+  if (
+    Object.keys(filteredData).length === 0 &&
+    updateData.pipeline === undefined &&
+    !hasNote
+  ) {
+    throw createError("No valid fields to update", 400);
+  }
+
+  const lead = await Lead.findById(id);
   if (!lead) {
     throw createError("Lead not found", 404);
   }
 
+  // Validate status against the lead's pipeline, or the one it moves to
+  if (updateData.pipeline !== undefined || filteredData.status !== undefined) {
+    let pipeline = await pipelinesService.getLeadPipeline(lead);
+    const movesPipeline =
+      updateData.pipeline !== undefined &&
+      String(updateData.pipeline) !== String(pipeline._id);
+
+    if (movesPipeline) {
+      pipeline = await pipelinesService.getPipelineById(updateData.pipeline);
+      filteredData.pipeline = pipeline._id;
+      // Moving to another pipeline starts over unless a stage is given
+      if (filteredData.status === undefined) {
+        filteredData.status = pipelinesService.getInitialStage(pipeline);
+      }
+    }
+
+    if (filteredData.status !== undefined) {
+      pipelinesService.validateTransition(
+        pipeline,
+        movesPipeline ? null : lead.status,
+        filteredData.status,
+      );
+    }
+  }
+
+  if (hasNote) {
+    if (!user) {
+      throw createError("Authentication required to add notes", 401);
+    }
+    await notesService.addNote(id, { type: "note", body: noteBody }, user);
+  }
+
+  if (Object.keys(filteredData).length === 0) {
+    return lead;
+  }
+
+  // Capture previous values for the activity timeline
+  const previous = {
+    statusChangedAt: lead.statusChangedAt || lead.createdAt,
+  };
+  for (const field of Object.keys(filteredData)) {
+    previous[field] = lead[field];
+  }
+
+  if (filteredData.status && filteredData.status !== lead.status) {
+    filteredData.statusChangedAt = new Date();
+  }
+
+  lead.set(filteredData);
+  await lead.save();
+  await scoringService.scoreLead(lead);
+
+  await recordLeadChanges(lead, previous, user);
+
   return lead;
 };
 
+/**
+ * Remove the tasks, notes and activity of deleted leads
+ * so reminders and overdue alerts stop firing for them
+ */
+const deleteLeadRecords = async (leadIds) => {
+  const query = { lead: { $in: leadIds } };
+  await Promise.all([
+    Task.deleteMany(query),
+    LeadNote.deleteMany(query),
+    LeadActivity.deleteMany(query),
+  ]);
+};
+
 /**
  * Delete lead
  */
@@ -169,27 +648,163 @@ const deleteLead = async (id) => {
   if (!lead) {
     throw createError("Lead not found", 404);
   }
+
+  await deleteLeadRecords([lead._id]);
+  emitEvent("lead.deleted", { lead });
   return lead;
 };
 
+/**
+ * Resolve the leads targeted by a bulk request (explicit ids or list filters)
+ */
+const buildBulkQuery = async ({ ids, filters } = {}) => {
+  if (ids !== undefined) {
+    if (!Array.isArray(ids) || ids.length === 0) {
+      throw createError("ids must be a non-empty array", 400);
+    }
+    if (!ids.every((id) => isValidObjectId(id))) {
+      throw createError("Invalid lead ID format", 400);
+    }
+    return {
+      _id: { $in: ids.map((id) => new mongoose.Types.ObjectId(String(id))) },
+    };
+  }
+
+  if (!filters || typeof filters !== "object" || Array.isArray(filters)) {
+    throw createError("Either ids or filters is required", 400);
+  }
+
+  const query = await buildLeadQuery(filters);
+  // Never act on every lead by accident
+  if (Object.keys(query).length === 0) {
+    throw createError("At least one filter is required", 400);
+  }
+  return query;
+};
+
+/**
+ * Apply one action to many leads
+ * set_status and assign run each lead through updateLead so the same
+ * validation and activity apply; leads that fail are reported individually.
+ */
+const bulkUpdateLeads = async (data, user) => {
+  if (!data || typeof data !== "object") {
+    throw createError("Bulk data is required", 400);
+  }
+
+  if (!BULK_ACTIONS.includes(data.action)) {
+    throw createError(
+      `Invalid action. Must be one of: ${BULK_ACTIONS.join(", ")}`,
+      400,
+    );
+  }
+
+  if (data.action === "delete" && user && user.role !== "admin") {
+    throw createError("Only admins can delete leads", 403);
+  }
+  if (
+    data.action === "set_status" &&
+    (typeof data.status !== "string" || !data.status)
+  ) {
+    throw createError("status is required", 400);
+  }
+  if (data.action === "assign" && data.assignedTo === undefined) {
+    throw createError("assignedTo is required (null unassigns)", 400);
+  }
+  if (["add_tag", "remove_tag"].includes(data.action) && !data.tag) {
+    throw createError("tag is required", 400);
+  }
+
+  const query = await buildBulkQuery(data);
+  const matched = await Lead.countDocuments(query);
+  const result = {
+    action: data.action,
+    matched,
+    modified: 0,
+    failed: 0,
+    errors: [],
+  };
+
+  if (matched > BULK_LIMIT) {
+    throw createError(
+      `Bulk actions are limited to ${BULK_LIMIT} leads, ${matched} matched`,
+      400,
+    );
+  }
+
+  if (data.action === "delete") {
+    const leads = await Lead.find(query);
+    const leadIds = leads.map((lead) => lead._id);
+    const { deletedCount } = await Lead.deleteMany({ _id: { $in: leadIds } });
+    await deleteLeadRecords(leadIds);
+    result.modified = deletedCount;
+    leads.forEach((lead) => emitEvent("lead.deleted", { lead }));
+    console.log(`🗑️ Bulk deleted ${deletedCount} leads`);
+    return result;
+  }
+
+  if (data.action === "add_tag" || data.action === "remove_tag") {
+    const tag = await tagsService.getTagById(data.tag);
+    result.modified = await tagsService.setTagOnLeads(
+      query,
+      tag,
+      data.action === "add_tag",
+      user,
+    );
+    return result;
+  }
+
+  let update;
+  let isUnchanged;
+  if (data.action === "set_status") {
+    update = { status: data.status };
+    isUnchanged = (lead) => lead.status === data.status;
+  } else {
+    // Fail fast on a bad assignee instead of once per lead
+    const assignee = await assignmentService.resolveAssignee(data.assignedTo);
+    update = { assignedTo: assignee ? assignee._id : null };
+    isUnchanged = (lead) =>
+      String(lead.assignedTo ?? "") === String(update.assignedTo ?? "");
+  }
+
+  const leads = await Lead.find(query).select("status assignedTo");
+  for (const lead of leads) {
+    if (isUnchanged(lead)) continue;
+
+    try {
+      await updateLead(lead._id, update, user);
+      result.modified++;
+    } catch (error) {
+      result.failed++;
+      result.errors.push({ leadId: lead._id, error: error.message });
+    }
+  }
+
+  return result;
+};
+
 /**
  * Get lead statistics
+ * Days follow the requested timezone, else the user's, else DEFAULT_TIMEZONE
  */
-const getLeadStats = async (filters = {}) => {
+const getLeadStats = async (filters = {}, user) => {
+  const timezone = resolveTimezone(filters.tz, user);
   const matchStage = {};
 
-  // Date range filter
+  // Date range filter (bare dates are whole days in the timezone)
   if (filters.fromDate || filters.toDate) {
-    matchStage.receivedAt = {};
-    if (filters.fromDate) {
-      matchStage.receivedAt.$gte = new Date(filters.fromDate);
-    }
-    if (filters.toDate) {
-      matchStage.receivedAt.$lte = new Date(filters.toDate);
-    }
+    matchStage.receivedAt = buildDateRange(filters, timezone);
   }
 
-  const [platformStats, statusStats, totalLeads, todayLeads] =
+  // Status breakdown follows the stages of the requested (or default) pipeline
+  const pipeline = filters.pipeline
+    ? await pipelinesService.getPipelineById(filters.pipeline)
+    : await pipelinesService.getDefaultPipeline();
+  if (filters.pipeline) {
+    matchStage.pipeline = pipelinesService.getPipelineMatch(pipeline);
+  }
+
+  const [platformStats, statusStats, totalLeads, todayLeads, tags, tagCounts] =
     await Promise.all([
       // Leads by platform
       Lead.aggregate([
@@ -199,70 +814,127 @@ const getLeadStats = async (filters = {}) => {
 
       // Leads by status
       Lead.aggregate([
-        { $match: matchStage },
+        {
+          $match: {
+            ...matchStage,
+            pipeline: pipelinesService.getPipelineMatch(pipeline),
+          },
+        },
         { $group: { _id: "$status", count: { $sum: 1 } } },
       ]),
 
       // Total leads
       Lead.countDocuments(matchStage),
 
-      // Today's leads
+      // Today's leads, by the calendar of the requested timezone
       Lead.countDocuments({
         ...matchStage,
         receivedAt: {
-          $gte: new Date(new Date().setHours(0, 0, 0, 0)),
-          $lt: new Date(new Date().setHours(23, 59, 59, 999)),
+          $gte: startOfDay(new Date(), timezone),
+          $lt: startOfNextDay(new Date(), timezone),
         },
       }),
+
+      // Leads per tag
+      Tag.find().collation(Tag.NAME_COLLATION).sort({ name: 1 }),
+      tagsService.getTagCounts(matchStage),
     ]);
 
   // Format platform stats
-  const byPlatform = {
-    meta: 0,
-    snapchat: 0,
-    tiktok: 0,
-  };
+  const byPlatform = {};
+  Lead.PLATFORMS.forEach((platform) => {
+    byPlatform[platform] = 0;
+  });
   platformStats.forEach((stat) => {
     byPlatform[stat._id] = stat.count;
   });
 
-  // Format status stats
-  const byStatus = {
-    new: 0,
-    contacted: 0,
-    qualified: 0,
-    converted: 0,
-    lost: 0,
-  };
+  // Format status stats in pipeline stage order
+  const byStatus = {};
+  const byCategory = { open: 0, won: 0, lost: 0 };
+  pipeline.stages.forEach((stage) => {
+    byStatus[stage.key] = 0;
+  });
   statusStats.forEach((stat) => {
+    const stage = pipelinesService.getStage(pipeline, stat._id);
     byStatus[stat._id] = stat.count;
+    if (stage) {
+      byCategory[stage.category] += stat.count;
+    }
   });
 
+  // Every catalogue tag is listed, including unused ones
+  const byTag = tags.map((tag) => ({
+    _id: tag._id,
+    name: tag.name,
+    color: tag.color,
+    count: tagCounts.get(String(tag._id)) || 0,
+  }));
+
   return {
     total: totalLeads,
     today: todayLeads,
+    timezone,
     byPlatform,
     byStatus,
+    byCategory,
+    byTag,
+    pipeline: {
+      _id: pipeline._id,
+      name: pipeline.name,
+      stages: pipeline.stages,
+    },
   };
 };
 
 /**
- * Get leads grouped by date for charts
+ * Get leads grouped by hour, day, week or month for charts
+ * Buckets follow the calendar of the requested timezone; weeks start on
+ * Monday and are labelled with that day. Every bucket in the range is
+ * returned for every platform, with a count of 0 when there were no leads
  */
-const getLeadsByDate = async (filters = {}) => {
-  const matchStage = {};
+const getLeadsByDate = async (filters = {}, user) => {
+  const timezone = resolveTimezone(filters.tz, user);
+  const granularity = filters.granularity || "day";
+  const bucket = CHART_BUCKETS[granularity];
+  if (!bucket) {
+    throw createError(
+      `Invalid granularity. Must be one of: ${Object.keys(CHART_BUCKETS).join(", ")}`,
+      400,
+    );
+  }
 
   // Default to last 30 days
-  const fromDate = filters.fromDate
-    ? new Date(filters.fromDate)
-    : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-  const toDate = filters.toDate ? new Date(filters.toDate) : new Date();
-
-  matchStage.receivedAt = {
-    $gte: fromDate,
-    $lte: toDate,
-  };
+  const range = buildDateRange(
+    {
+      fromDate:
+        filters.fromDate || new Date(Date.now() - 30 * DAY_MS).toISOString(),
+      toDate: filters.toDate || new Date().toISOString(),
+    },
+    timezone,
+  );
+  if (range.$gte > range.$lte) {
+    throw createError("fromDate must be before toDate", 400);
+  }
+
+  // Bucket labels from the first to the last wall-clock bucket
+  const labels = [];
+  const last = bucket.start(toWallClock(range.$lte, timezone));
+  for (
+    let wallClock = bucket.start(toWallClock(range.$gte, timezone));
+    wallClock <= last;
+    wallClock = bucket.next(wallClock)
+  ) {
+    if (labels.length === MAX_CHART_BUCKETS) {
+      throw createError(
+        `Too many ${granularity} buckets; use a shorter range or a coarser granularity (at most ${MAX_CHART_BUCKETS})`,
+        400,
+      );
+    }
+    labels.push(bucket.label(new Date(wallClock)));
+  }
 
+  const matchStage = { receivedAt: range };
   if (filters.platform) {
     matchStage.platform = filters.platform;
   }
@@ -272,27 +944,37 @@ const getLeadsByDate = async (filters = {}) => {
     {
       $group: {
         _id: {
-          date: { $dateToString: { format: "%Y-%m-%d", date: "$receivedAt" } },
+          date: bucket.expression("$receivedAt", timezone),
           platform: "$platform",
         },
         count: { $sum: 1 },
       },
     },
-    { $sort: { "_id.date": 1 } },
   ]);
 
-  return results.map((r) => ({
-    date: r._id.date,
-    platform: r._id.platform,
-    count: r.count,
-  }));
+  const counts = new Map(
+    results.map((r) => [`${r._id.date}|${r._id.platform}`, r.count]),
+  );
+  const platforms = filters.platform ? [filters.platform] : Lead.PLATFORMS;
+
+  return labels.flatMap((date) =>
+    platforms.map((platform) => ({
+      date,
+      platform,
+      count: counts.get(`${date}|${platform}`) || 0,
+    })),
+  );
 };
 
 module.exports = {
+  buildLeadQuery,
+  buildLeadSort,
   getLeads,
   getLeadById,
+  createLead,
   updateLead,
   deleteLead,
+  bulkUpdateLeads,
   getLeadStats,
   getLeadsByDate,
 };
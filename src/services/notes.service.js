@@ -0,0 +1,153 @@
+const Lead = require("../models/Lead");
+const LeadNote = require("../models/LeadNote");
+const activityService = require("./activity.service");
+const slaService = require("./sla.service");
+const { isValidObjectId, createError } = require("../utils/errors");
+
+/**
+ * Ensure the lead exists before touching its notes
+ */
+const ensureLead = async (leadId) => {
+  if (!leadId || !isValidObjectId(leadId)) {
+    throw createError("Invalid lead ID format", 400);
+  }
+
+  const exists = await Lead.exists({ _id: leadId });
+  if (!exists) {
+    throw createError("Lead not found", 404);
+  }
+};
+
+/**
+ * Get notes and interactions for a lead (newest first)
+ */
+const getNotes = async (leadId, filters = {}, options = {}) => {
+  await ensureLead(leadId);
+
+  const query = { lead: leadId };
+
+  if (filters.type) {
+    query.type = filters.type;
+  }
+
+  // Pagination
+  const page = parseInt(options.page) || 1;
+  const limit = parseInt(options.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const [notes, total] = await Promise.all([
+    LeadNote.find(query)
+      .sort({ occurredAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate("author", "name email"),
+    LeadNote.countDocuments(query),
+  ]);
+
+  return {
+    notes,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/**
+ * Add a note or logged interaction to a lead
+ */
+const addNote = async (leadId, data, user) => {
+  await ensureLead(leadId);
+
+  if (!data || typeof data !== "object") {
+    throw createError("Note data is required", 400);
+  }
+
+  const type = data.type || "note";
+  if (!LeadNote.TYPES.includes(type)) {
+    throw createError(
+      `Invalid note type. Must be one of: ${LeadNote.TYPES.join(", ")}`,
+      400,
+    );
+  }
+
+  if (!data.body && !data.outcome) {
+    throw createError("Note body or outcome is required", 400);
+  }
+
+  if (
+    data.durationSeconds !== undefined &&
+    (!Number.isFinite(Number(data.durationSeconds)) ||
+      Number(data.durationSeconds) < 0)
+  ) {
+    throw createError("Duration must be a positive number of seconds", 400);
+  }
+
+  if (data.occurredAt !== undefined && isNaN(new Date(data.occurredAt))) {
+    throw createError("Invalid occurredAt date", 400);
+  }
+
+  const note = await LeadNote.create({
+    lead: leadId,
+    author: user._id,
+    type,
+    body: data.body,
+    outcome: data.outcome,
+    durationSeconds: data.durationSeconds,
+    occurredAt: data.occurredAt,
+  });
+
+  await activityService.recordActivity({
+    lead: leadId,
+    type: "note_added",
+    actor: user,
+    metadata: { note: note._id, noteType: note.type },
+  });
+
+  // Calls, messages and meetings count as responding to the lead
+  if (note.type !== "note") {
+    await slaService.recordFirstResponse(leadId, user, note.occurredAt);
+  }
+
+  return note.populate("author", "name email");
+};
+
+/**
+ * Delete a note (its author, admins and managers only)
+ */
+const deleteNote = async (leadId, noteId, user) => {
+  await ensureLead(leadId);
+
+  if (!noteId || !isValidObjectId(noteId)) {
+    throw createError("Invalid note ID format", 400);
+  }
+
+  const note = await LeadNote.findOne({ _id: noteId, lead: leadId });
+  if (!note) {
+    throw createError("Note not found", 404);
+  }
+
+  const isAuthor = note.author.equals(user._id);
+  if (!isAuthor && !["admin", "manager"].includes(user.role)) {
+    throw createError("You can only delete your own notes", 403);
+  }
+
+  await note.deleteOne();
+
+  await activityService.recordActivity({
+    lead: leadId,
+    type: "note_deleted",
+    actor: user,
+    metadata: { note: note._id, noteType: note.type },
+  });
+
+  return note;
+};
+
+module.exports = {
+  getNotes,
+  addNote,
+  deleteNote,
+};
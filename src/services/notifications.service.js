@@ -0,0 +1,416 @@
+const axios = require("axios");
+const nodemailer = require("nodemailer");
+const User = require("../models/User");
+const Lead = require("../models/Lead");
+const templates = require("../config/notificationTemplates");
+const { eventBus } = require("../events/eventBus");
+const { createError } = require("../utils/errors");
+
+const CHAT_TIMEOUT_MS = 10 * 1000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+// Hosts chat notifications may go to unless NOTIFICATION_CHAT_HOSTS is set
+const DEFAULT_CHAT_HOSTS = ["hooks.slack.com", "api.telegram.org"];
+
+let transporter = null;
+
+/**
+ * SMTP transport from the SMTP_* settings (null when email is not configured)
+ * Point SMTP_HOST/SMTP_PORT at a local stand-in such as MailHog to test
+ */
+const getTransporter = () => {
+  if (!process.env.SMTP_HOST) return null;
+
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return transporter;
+};
+
+/**
+ * Dashboard link to a lead ("" without APP_URL)
+ */
+const getLeadUrl = (lead) => {
+  return process.env.APP_URL
+    ? `${process.env.APP_URL.replace(/\/$/, "")}/leads/${lead._id}`
+    : "";
+};
+
+/**
+ * Fill {{field}} placeholders with lead values ("-" when missing)
+ */
+const renderTemplate = (template, lead) => {
+  const values = { ...lead, leadUrl: getLeadUrl(lead) };
+
+  return template.replace(/{{\s*([\w.]+)\s*}}/g, (match, path) => {
+    const value = path
+      .split(".")
+      .reduce((current, key) => current?.[key], values);
+    if (value === undefined || value === null || value === "") {
+      return path === "leadUrl" ? "" : "-";
+    }
+    return value instanceof Date ? value.toISOString() : String(value);
+  });
+};
+
+/**
+ * Current "HH:MM" in a timezone
+ */
+const getLocalTime = (timezone, now = new Date()) => {
+  return new Intl.DateTimeFormat("en-GB", {
+    timeZone: timezone,
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).format(now);
+};
+
+/**
+ * Whether it is currently within the user's quiet hours
+ * Ranges may wrap past midnight, e.g. 22:00-08:00
+ */
+const isQuietTime = (quietHours, now = new Date()) => {
+  if (!quietHours?.start || !quietHours?.end) return false;
+
+  const timezone =
+    quietHours.timezone || process.env.NOTIFICATION_TIMEZONE || "UTC";
+  const time = getLocalTime(timezone, now);
+  const { start, end } = quietHours;
+
+  return start <= end
+    ? time >= start && time < end
+    : time >= start || time < end;
+};
+
+/**
+ * Whether a user wants to hear about a lead
+ */
+const wantsLead = (user, lead) => {
+  const prefs = user.notifications || {};
+  if (prefs.enabled === false) return false;
+
+  if (prefs.onlyAssigned !== false && !lead.assignedTo?.equals?.(user._id)) {
+    return false;
+  }
+  if (prefs.platforms?.length && !prefs.platforms.includes(lead.platform)) {
+    return false;
+  }
+  if (
+    prefs.campaignIds?.length &&
+    !prefs.campaignIds.includes(lead.campaignId)
+  ) {
+    return false;
+  }
+  return !isQuietTime(prefs.quietHours);
+};
+
+/**
+ * Send an email notification
+ */
+const sendEmail = async (user, subject, text) => {
+  const mailer = getTransporter();
+  if (!mailer) {
+    throw new Error("SMTP is not configured");
+  }
+
+  await mailer.sendMail({
+    from: process.env.SMTP_FROM || "Leads CRM <no-reply@localhost>",
+    to: user.email,
+    subject,
+    text,
+  });
+};
+
+/**
+ * Hosts chat notifications may be posted to, set by admins
+ */
+const getChatHosts = () => {
+  if (!process.env.NOTIFICATION_CHAT_HOSTS) return DEFAULT_CHAT_HOSTS;
+  return process.env.NOTIFICATION_CHAT_HOSTS.split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean);
+};
+
+/**
+ * Whether a chat URL is https on an allowed host (and its default port)
+ * Users must not make the server post lead data to arbitrary hosts
+ */
+const isAllowedChatUrl = (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return false;
+  }
+  return (
+    url.protocol === "https:" &&
+    !url.port &&
+    getChatHosts().includes(url.hostname.toLowerCase())
+  );
+};
+
+/**
+ * Post a chat notification (Slack/Telegram-style incoming webhook)
+ * Generic targets get the message and a link, never the lead document
+ */
+const sendChat = async (chat, text, lead) => {
+  // Preferences saved before the host list changed are checked again
+  if (!isAllowedChatUrl(chat.url)) {
+    throw new Error("Chat url is not on an allowed host");
+  }
+
+  let body;
+  if (chat.type === "telegram") {
+    body = { chat_id: chat.chatId, text, disable_web_page_preview: true };
+  } else if (chat.type === "slack") {
+    body = { text };
+  } else {
+    body = { text, leadId: lead._id, leadUrl: getLeadUrl(lead) };
+  }
+
+  // Redirects could lead away from the allowed host
+  await axios.post(chat.url, body, {
+    timeout: CHAT_TIMEOUT_MS,
+    maxRedirects: 0,
+  });
+};
+
+/**
+ * Send one lead notification through every channel the user enabled
+ * A failing channel does not stop the others
+ * Returns the channels that were used and those that failed
+ */
+const notifyUser = async (user, lead) => {
+  const prefs = user.notifications || {};
+  const data = lead.toObject ? lead.toObject() : lead;
+  const { newLead } = templates;
+  const channels = {};
+
+  if (prefs.email !== false && getTransporter()) {
+    channels.email = () =>
+      sendEmail(
+        user,
+        renderTemplate(newLead.emailSubject, data),
+        renderTemplate(newLead.emailText, data),
+      );
+  }
+
+  if (prefs.chat?.type && prefs.chat?.url) {
+    channels.chat = () =>
+      sendChat(prefs.chat, renderTemplate(newLead.chatText, data), data);
+  }
+
+  const sent = [];
+  const errors = [];
+  for (const [channel, send] of Object.entries(channels)) {
+    try {
+      await send();
+      sent.push(channel);
+    } catch (error) {
+      errors.push({ channel, error: error.message });
+    }
+  }
+
+  return { sent, errors };
+};
+
+/**
+ * Notify every interested user about a new lead
+ * One failing channel or user never stops the others
+ */
+const notifyNewLead = async (lead) => {
+  const users = await User.find({ active: true });
+
+  await Promise.all(
+    users
+      .filter((user) => wantsLead(user, lead))
+      .map(async (user) => {
+        try {
+          const { sent, errors } = await notifyUser(user, lead);
+          if (sent.length > 0) {
+            console.log(
+              `🔔 Notified ${user.email} of lead ${lead._id} via ${sent.join(", ")}`,
+            );
+          }
+          errors.forEach(({ channel, error }) => {
+            console.error(
+              `⚠️ Failed to notify ${user.email} of lead ${lead._id} via ${channel}:`,
+              error,
+            );
+          });
+        } catch (error) {
+          console.error(
+            `⚠️ Failed to notify ${user.email} of lead ${lead._id}:`,
+            error.message,
+          );
+        }
+      }),
+  );
+};
+
+/**
+ * Notify about leads arriving from ad platforms
+ * Backfilled leads and leads entered or imported by a user do not
+ * trigger notifications
+ */
+const registerEventListeners = () => {
+  eventBus.on("lead.created", ({ lead, actor, backfilled }) => {
+    if (actor || backfilled) return;
+    notifyNewLead(lead).catch((error) => {
+      console.error("⚠️ Lead notifications failed:", error.message);
+    });
+  });
+};
+
+/**
+ * Validate and apply notification preferences for the current user
+ */
+const updatePreferences = async (user, data) => {
+  if (!data || typeof data !== "object") {
+    throw createError("Preferences are required", 400);
+  }
+
+  const allowedFields = [
+    "enabled",
+    "email",
+    "chat",
+    "platforms",
+    "campaignIds",
+    "onlyAssigned",
+    "quietHours",
+  ];
+  const filteredData = {};
+  for (const field of allowedFields) {
+    if (data[field] !== undefined) {
+      filteredData[field] = data[field];
+    }
+  }
+
+  if (Object.keys(filteredData).length === 0) {
+    throw createError("No valid fields to update", 400);
+  }
+
+  ["enabled", "email", "onlyAssigned"].forEach((field) => {
+    if (
+      filteredData[field] !== undefined &&
+      typeof filteredData[field] !== "boolean"
+    ) {
+      throw createError(`${field} must be true or false`, 400);
+    }
+  });
+
+  if (filteredData.platforms !== undefined) {
+    if (
+      !Array.isArray(filteredData.platforms) ||
+      !filteredData.platforms.every((platform) =>
+        Lead.PLATFORMS.includes(platform),
+      )
+    ) {
+      throw createError(
+        `platforms must be a list of: ${Lead.PLATFORMS.join(", ")}`,
+        400,
+      );
+    }
+  }
+
+  if (
+    filteredData.campaignIds !== undefined &&
+    !Array.isArray(filteredData.campaignIds)
+  ) {
+    throw createError("campaignIds must be an array", 400);
+  }
+
+  const { chat } = filteredData;
+  if (chat) {
+    if (!User.CHAT_TYPES.includes(chat.type)) {
+      throw createError(
+        `Invalid chat type. Must be one of: ${User.CHAT_TYPES.join(", ")}`,
+        400,
+      );
+    }
+    if (!isAllowedChatUrl(chat.url)) {
+      throw createError(
+        `Chat url must be an https URL on one of: ${getChatHosts().join(", ")}`,
+        400,
+      );
+    }
+    if (chat.type === "telegram" && !chat.chatId) {
+      throw createError("Telegram notifications need a chatId", 400);
+    }
+  }
+
+  const { quietHours } = filteredData;
+  if (quietHours) {
+    if (!TIME_PATTERN.test(quietHours.start || "")) {
+      throw createError('Quiet hours start must look like "22:00"', 400);
+    }
+    if (!TIME_PATTERN.test(quietHours.end || "")) {
+      throw createError('Quiet hours end must look like "08:00"', 400);
+    }
+    if (quietHours.timezone) {
+      try {
+        getLocalTime(quietHours.timezone);
+      } catch (error) {
+        throw createError(`Unknown timezone "${quietHours.timezone}"`, 400);
+      }
+    }
+  }
+
+  const account = await User.findById(user._id);
+  Object.entries(filteredData).forEach(([field, value]) => {
+    account.set(`notifications.${field}`, value);
+  });
+  await account.save();
+
+  return account.notifications;
+};
+
+/**
+ * Send a sample notification to the current user through their channels
+ * (ignores filters and quiet hours)
+ */
+const sendTestNotification = async (user) => {
+  const sample = {
+    _id: "000000000000000000000000",
+    platform: "meta",
+    customerName: "Test Lead",
+    phone: "+201000000000",
+    email: "test.lead@example.com",
+    campaignName: "Test campaign",
+    formName: "Test form",
+    receivedAt: new Date(),
+  };
+
+  const { sent, errors } = await notifyUser(user, sample);
+
+  if (sent.length === 0 && errors.length > 0) {
+    throw createError(
+      `Test notification failed: ${errors
+        .map(({ channel, error }) => `${channel}: ${error}`)
+        .join("; ")}`,
+      502,
+    );
+  }
+  if (sent.length === 0) {
+    throw createError(
+      "No channel available: configure SMTP or a chat webhook",
+      400,
+    );
+  }
+  return { sent, errors };
+};
+
+module.exports = {
+  renderTemplate,
+  isQuietTime,
+  registerEventListeners,
+  notifyNewLead,
+  updatePreferences,
+  sendTestNotification,
+};
@@ -0,0 +1,361 @@
+const Lead = require("../models/Lead");
+const Pipeline = require("../models/Pipeline");
+const { isValidObjectId, createError } = require("../utils/errors");
+
+// Stages of the pipeline created on first start
+const DEFAULT_STAGES = [
+  { key: "new", name: "New", category: "open" },
+  { key: "contacted", name: "Contacted", category: "open" },
+  { key: "qualified", name: "Qualified", category: "open" },
+  { key: "converted", name: "Converted", category: "won" },
+  { key: "lost", name: "Lost", category: "lost" },
+];
+
+/**
+ * Get the default pipeline, creating it on first use
+ */
+const getDefaultPipeline = async () => {
+  const existing = await Pipeline.findOne({ isDefault: true });
+  if (existing) return existing;
+
+  let pipeline;
+  try {
+    pipeline = await Pipeline.create({
+      name: "Sales",
+      isDefault: true,
+      stages: DEFAULT_STAGES,
+    });
+  } catch (error) {
+    // Another request created it first
+    if (error.code === 11000) {
+      return Pipeline.findOne({ isDefault: true });
+    }
+    throw error;
+  }
+
+  // Leads created before pipelines existed belong to the default one
+  const result = await Lead.updateMany(
+    { pipeline: null },
+    { pipeline: pipeline._id },
+  );
+  console.log(
+    `✅ Default pipeline created (${result.modifiedCount} existing leads attached)`,
+  );
+  return pipeline;
+};
+
+/**
+ * Get the pipeline a lead belongs to
+ */
+const getLeadPipeline = async (lead) => {
+  if (lead.pipeline) {
+    const pipeline = await Pipeline.findById(lead.pipeline);
+    if (pipeline) return pipeline;
+  }
+  return getDefaultPipeline();
+};
+
+/**
+ * Pick the pipeline for a new lead by form, then campaign, then default
+ */
+const resolvePipeline = async ({ campaignId, formId } = {}) => {
+  if (formId) {
+    const byForm = await Pipeline.findOne({ formIds: formId });
+    if (byForm) return byForm;
+  }
+  if (campaignId) {
+    const byCampaign = await Pipeline.findOne({ campaignIds: campaignId });
+    if (byCampaign) return byCampaign;
+  }
+  return getDefaultPipeline();
+};
+
+/**
+ * Get the stage new leads start in
+ */
+const getInitialStage = (pipeline) => {
+  return pipeline.stages[0].key;
+};
+
+/**
+ * Get stage definition by key
+ */
+const getStage = (pipeline, key) => {
+  return pipeline.stages.find((stage) => stage.key === key) || null;
+};
+
+/**
+ * Ensure a lead may move from one stage to another within a pipeline
+ */
+const validateTransition = (pipeline, from, to) => {
+  const target = getStage(pipeline, to);
+  if (!target) {
+    throw createError(
+      `Invalid status. Must be one of: ${pipeline.stages.map((stage) => stage.key).join(", ")}`,
+      400,
+    );
+  }
+
+  const current = getStage(pipeline, from);
+  if (
+    current &&
+    from !== to &&
+    current.transitionsTo.length > 0 &&
+    !current.transitionsTo.includes(to)
+  ) {
+    throw createError(
+      `Cannot move lead from "${from}" to "${to}". Allowed: ${current.transitionsTo.join(", ")}`,
+      400,
+    );
+  }
+
+  return target;
+};
+
+/**
+ * Match value for a lead's pipeline field (usable in aggregations)
+ * Leads without a pipeline belong to the default one
+ */
+const getPipelineMatch = (pipeline) => {
+  return pipeline.isDefault ? { $in: [pipeline._id, null] } : pipeline._id;
+};
+
+/**
+ * Build a lead query matching stages of the given categories in every pipeline
+ */
+const buildStageCategoryQuery = async (categories) => {
+  await getDefaultPipeline();
+  const pipelines = await Pipeline.find();
+
+  const conditions = pipelines.map((pipeline) => {
+    const keys = pipeline.stages
+      .filter((stage) => categories.includes(stage.category))
+      .map((stage) => stage.key);
+    return { pipeline: getPipelineMatch(pipeline), status: { $in: keys } };
+  });
+
+  return { $or: conditions };
+};
+
+/**
+ * Validate and normalize stage definitions
+ */
+const validateStages = (stages) => {
+  if (!Array.isArray(stages) || stages.length === 0) {
+    throw createError("A pipeline needs at least one stage", 400);
+  }
+
+  const normalized = stages.map((stage) => ({
+    key: String(stage?.key || "")
+      .trim()
+      .toLowerCase(),
+    name: stage?.name,
+    category: stage?.category || "open",
+    color: stage?.color,
+    transitionsTo: stage?.transitionsTo || [],
+  }));
+
+  const keys = normalized.map((stage) => stage.key);
+  normalized.forEach((stage) => {
+    if (!/^[a-z0-9_-]+$/.test(stage.key)) {
+      throw createError(
+        "Stage keys may only contain letters, numbers, - and _",
+        400,
+      );
+    }
+    if (!stage.name) {
+      throw createError(`Stage "${stage.key}" needs a name`, 400);
+    }
+    if (!Pipeline.STAGE_CATEGORIES.includes(stage.category)) {
+      throw createError(
+        `Invalid stage category. Must be one of: ${Pipeline.STAGE_CATEGORIES.join(", ")}`,
+        400,
+      );
+    }
+    if (!Array.isArray(stage.transitionsTo)) {
+      throw createError("Stage transitionsTo must be an array", 400);
+    }
+    const unknown = stage.transitionsTo.filter((key) => !keys.includes(key));
+    if (unknown.length > 0) {
+      throw createError(
+        `Stage "${stage.key}" has transitions to unknown stages: ${unknown.join(", ")}`,
+        400,
+      );
+    }
+  });
+
+  if (new Set(keys).size !== keys.length) {
+    throw createError("Stage keys must be unique within a pipeline", 400);
+  }
+
+  return normalized;
+};
+
+/**
+ * Get all pipelines
+ */
+const getPipelines = async () => {
+  await getDefaultPipeline();
+  return Pipeline.find().sort({ isDefault: -1, name: 1 });
+};
+
+/**
+ * Get pipeline by ID
+ */
+const getPipelineById = async (id) => {
+  if (!id || !isValidObjectId(id)) {
+    throw createError("Invalid pipeline ID format", 400);
+  }
+
+  const pipeline = await Pipeline.findById(id);
+  if (!pipeline) {
+    throw createError("Pipeline not found", 404);
+  }
+  return pipeline;
+};
+
+/**
+ * Make a saved pipeline the default in place of the previous default
+ * Leads without a pipeline are attached to the previous default first,
+ * so switching never moves them into stages they may not have
+ */
+const setDefault = async (pipeline) => {
+  const previous = await Pipeline.findOne({
+    _id: { $ne: pipeline._id },
+    isDefault: true,
+  });
+
+  if (previous) {
+    await Lead.updateMany({ pipeline: null }, { pipeline: previous._id });
+    // Only one default may exist at a time, so unset it before the swap
+    await Pipeline.updateOne({ _id: previous._id }, { isDefault: false });
+  }
+
+  try {
+    await Pipeline.updateOne({ _id: pipeline._id }, { isDefault: true });
+  } catch (error) {
+    // Never leave the system without a default pipeline
+    if (previous) {
+      await Pipeline.updateOne({ _id: previous._id }, { isDefault: true });
+    }
+    throw error;
+  }
+
+  pipeline.isDefault = true;
+  return pipeline;
+};
+
+/**
+ * Create pipeline
+ */
+const createPipeline = async (data) => {
+  if (!data || !data.name) {
+    throw createError("Pipeline name is required", 400);
+  }
+
+  const pipeline = new Pipeline({
+    name: data.name,
+    description: data.description,
+    campaignIds: data.campaignIds,
+    formIds: data.formIds,
+    stages: validateStages(data.stages),
+  });
+
+  await pipeline.save();
+  if (data.isDefault) {
+    await setDefault(pipeline);
+  }
+
+  return pipeline;
+};
+
+/**
+ * Update pipeline
+ */
+const updatePipeline = async (id, updateData) => {
+  const pipeline = await getPipelineById(id);
+
+  if (!updateData || typeof updateData !== "object") {
+    throw createError("Update data is required", 400);
+  }
+
+  const allowedFields = ["name", "description", "campaignIds", "formIds"];
+  for (const field of allowedFields) {
+    if (updateData[field] !== undefined) {
+      pipeline[field] = updateData[field];
+    }
+  }
+
+  if (updateData.stages !== undefined) {
+    const stages = validateStages(updateData.stages);
+
+    // Stages that still hold leads cannot be removed
+    const keptKeys = stages.map((stage) => stage.key);
+    const removedKeys = pipeline.stages
+      .map((stage) => stage.key)
+      .filter((key) => !keptKeys.includes(key));
+    if (removedKeys.length > 0) {
+      const inUse = await Lead.countDocuments({
+        pipeline: getPipelineMatch(pipeline),
+        status: { $in: removedKeys },
+      });
+      if (inUse > 0) {
+        throw createError(
+          `Cannot remove stages ${removedKeys.join(", ")}: ${inUse} leads are still in them`,
+          409,
+        );
+      }
+    }
+
+    pipeline.stages = stages;
+  }
+
+  if (updateData.isDefault === false && pipeline.isDefault) {
+    throw createError("Make another pipeline the default instead", 400);
+  }
+
+  await pipeline.save();
+  if (updateData.isDefault === true && !pipeline.isDefault) {
+    await setDefault(pipeline);
+  }
+
+  return pipeline;
+};
+
+/**
+ * Delete pipeline
+ */
+const deletePipeline = async (id) => {
+  const pipeline = await getPipelineById(id);
+
+  if (pipeline.isDefault) {
+    throw createError("The default pipeline cannot be deleted", 400);
+  }
+
+  const leadCount = await Lead.countDocuments({ pipeline: pipeline._id });
+  if (leadCount > 0) {
+    throw createError(
+      `Cannot delete pipeline: ${leadCount} leads still belong to it`,
+      409,
+    );
+  }
+
+  await pipeline.deleteOne();
+  return pipeline;
+};
+
+module.exports = {
+  getDefaultPipeline,
+  getLeadPipeline,
+  resolvePipeline,
+  getInitialStage,
+  getStage,
+  validateTransition,
+  getPipelineMatch,
+  buildStageCategoryQuery,
+  getPipelines,
+  getPipelineById,
+  createPipeline,
+  updatePipeline,
+  deletePipeline,
+};
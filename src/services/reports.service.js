@@ -0,0 +1,749 @@
+const Lead = require("../models/Lead");
+const LeadActivity = require("../models/LeadActivity");
+const AdSpend = require("../models/AdSpend");
+const User = require("../models/User");
+const pipelinesService = require("./pipelines.service");
+const adSpendService = require("./adSpend.service");
+const { createError } = require("../utils/errors");
+const { resolveTimezone, parseDateInput } = require("../utils/timezone");
+
+// Entity each performance report groups by, with its parent entities
+const REPORT_LEVELS = {
+  campaign: { id: "campaignId", name: "campaignName", parents: [] },
+  adset: {
+    id: "adsetId",
+    name: "adsetName",
+    parents: ["campaignId", "campaignName"],
+  },
+  ad: {
+    id: "adId",
+    name: "adName",
+    parents: ["campaignId", "campaignName", "adsetId", "adsetName"],
+  },
+  form: { id: "formId", name: "formName", parents: [] },
+};
+
+// How the cost report groups spend and leads
+const COST_GROUPS = {
+  date: {
+    spendKey: { $dateToString: { format: "%Y-%m-%d", date: "$date" } },
+    // Leads count on their day in the report's timezone
+    leadKey: (timezone) => ({
+      $dateToString: { format: "%Y-%m-%d", date: "$receivedAt", timezone },
+    }),
+  },
+  campaign: {
+    spendKey: "$campaignId",
+    leadKey: () => "$campaignId",
+    name: "campaignName",
+  },
+  adset: {
+    spendKey: "$adsetId",
+    leadKey: () => "$adsetId",
+    name: "adsetName",
+  },
+};
+
+// Lead fields each funnel breakdown groups by
+const FUNNEL_GROUPS = {
+  platform: { id: "platform" },
+  campaign: { id: "campaignId", name: "campaignName" },
+  form: { id: "formId", name: "formName" },
+};
+
+/**
+ * Build the lead match shared by reports
+ * The date range applies to when leads were received; bare "YYYY-MM-DD"
+ * dates cover that whole day in the timezone
+ */
+const buildReportMatch = (filters = {}, timezone = "UTC") => {
+  const match = {};
+
+  if (filters.platform) {
+    if (!Lead.PLATFORMS.includes(filters.platform)) {
+      throw createError(
+        `Invalid platform. Must be one of: ${Lead.PLATFORMS.join(", ")}`,
+        400,
+      );
+    }
+    match.platform = filters.platform;
+  }
+
+  if (filters.campaignId) {
+    match.campaignId = String(filters.campaignId);
+  }
+
+  if (filters.adsetId) {
+    match.adsetId = String(filters.adsetId);
+  }
+
+  if (filters.formId) {
+    match.formId = String(filters.formId);
+  }
+
+  if (filters.fromDate || filters.toDate) {
+    match.receivedAt = {};
+    [
+      ["fromDate", "$gte"],
+      ["toDate", "$lte"],
+    ].forEach(([filter, operator]) => {
+      if (!filters[filter]) return;
+      const date = parseDateInput(filters[filter], timezone, {
+        endOfDay: filter === "toDate",
+      });
+      if (!date) {
+        throw createError(`Invalid ${filter}`, 400);
+      }
+      match.receivedAt[operator] = date;
+    });
+  }
+
+  return match;
+};
+
+/**
+ * Median of a list of numbers (null when empty)
+ */
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Share of a total as a percentage with one decimal (null when total is 0)
+ */
+const toRate = (count, total) => {
+  return total > 0 ? Math.round((count / total) * 1000) / 10 : null;
+};
+
+/**
+ * When a lead first entered each stage of the pipeline
+ * Every lead starts in the first stage when it is created
+ */
+const getStageTimes = (pipeline, lead) => {
+  const times = new Map();
+  const enter = (key, at) => {
+    if (!pipelinesService.getStage(pipeline, key)) return;
+    const time = new Date(at).getTime();
+    if (!times.has(key) || time < times.get(key)) {
+      times.set(key, time);
+    }
+  };
+
+  enter(pipelinesService.getInitialStage(pipeline), lead.createdAt);
+  lead.transitions.forEach((transition) => enter(transition.to, transition.at));
+  // Leads changed before activity was recorded still count in their stage
+  enter(lead.status, lead.statusChangedAt || lead.createdAt);
+
+  return times;
+};
+
+/**
+ * Create an empty funnel accumulator for the pipeline's stages
+ */
+const createFunnel = (funnelStages) => ({
+  leads: 0,
+  lost: 0,
+  reached: funnelStages.map(() => 0),
+  durations: funnelStages.map(() => []),
+});
+
+/**
+ * Add one lead to a funnel
+ * A lead counts as reaching every stage before the furthest one it got to,
+ * even when it skipped some; times between stages only use recorded entries
+ */
+const addToFunnel = (funnel, funnelStages, lostKeys, times) => {
+  funnel.leads += 1;
+
+  let furthest = -1;
+  funnelStages.forEach((stage, index) => {
+    if (times.has(stage.key)) furthest = index;
+  });
+  for (let index = 0; index <= furthest; index++) {
+    funnel.reached[index] += 1;
+  }
+
+  for (let index = 1; index < funnelStages.length; index++) {
+    const from = times.get(funnelStages[index - 1].key);
+    const to = times.get(funnelStages[index].key);
+    if (from !== undefined && to !== undefined && to >= from) {
+      funnel.durations[index].push(to - from);
+    }
+  }
+
+  if (lostKeys.some((key) => times.has(key))) {
+    funnel.lost += 1;
+  }
+};
+
+/**
+ * Turn a funnel accumulator into rates and median times
+ */
+const formatFunnel = (funnel, funnelStages) => ({
+  leads: funnel.leads,
+  lost: funnel.lost,
+  lostRate: toRate(funnel.lost, funnel.leads),
+  stages: funnelStages.map((stage, index) => ({
+    key: stage.key,
+    name: stage.name,
+    category: stage.category,
+    reached: funnel.reached[index],
+    // Share of leads in the previous stage that got here
+    conversionRate:
+      index === 0
+        ? null
+        : toRate(funnel.reached[index], funnel.reached[index - 1]),
+    // Share of all leads that got here
+    overallRate: toRate(funnel.reached[index], funnel.leads),
+    medianTimeFromPreviousMs:
+      index === 0 ? null : median(funnel.durations[index]),
+  })),
+});
+
+/**
+ * Stage-to-stage conversion and time between stages for leads received
+ * in a date range, optionally broken down by platform, campaign or form
+ */
+const getFunnel = async (filters = {}, user) => {
+  if (filters.groupBy && !FUNNEL_GROUPS[filters.groupBy]) {
+    throw createError(
+      `Invalid groupBy. Must be one of: ${Object.keys(FUNNEL_GROUPS).join(", ")}`,
+      400,
+    );
+  }
+
+  const pipeline = filters.pipeline
+    ? await pipelinesService.getPipelineById(filters.pipeline)
+    : await pipelinesService.getDefaultPipeline();
+
+  const match = {
+    ...buildReportMatch(filters, resolveTimezone(filters.tz, user)),
+    pipeline: pipelinesService.getPipelineMatch(pipeline),
+  };
+
+  // Lost stages are reported as drop-off rather than as funnel steps
+  const funnelStages = pipeline.stages.filter(
+    (stage) => stage.category !== "lost",
+  );
+  const lostKeys = pipeline.stages
+    .filter((stage) => stage.category === "lost")
+    .map((stage) => stage.key);
+
+  const overall = createFunnel(funnelStages);
+  const groups = new Map();
+  const group = FUNNEL_GROUPS[filters.groupBy];
+
+  const cursor = Lead.aggregate([
+    { $match: match },
+    {
+      $lookup: {
+        from: LeadActivity.collection.name,
+        let: { leadId: "$_id" },
+        pipeline: [
+          {
+            $match: {
+              $expr: { $eq: ["$lead", "$$leadId"] },
+              type: "status_changed",
+            },
+          },
+          {
+            $project: {
+              _id: 0,
+              to: { $arrayElemAt: ["$changes.to", 0] },
+              at: "$createdAt",
+            },
+          },
+        ],
+        as: "transitions",
+      },
+    },
+    {
+      $project: {
+        platform: 1,
+        campaignId: 1,
+        campaignName: 1,
+        formId: 1,
+        formName: 1,
+        status: 1,
+        statusChangedAt: 1,
+        createdAt: 1,
+        transitions: 1,
+      },
+    },
+  ]).cursor();
+
+  for await (const lead of cursor) {
+    const times = getStageTimes(pipeline, lead);
+    addToFunnel(overall, funnelStages, lostKeys, times);
+
+    if (group) {
+      const id = lead[group.id] || null;
+      if (!groups.has(id)) {
+        groups.set(id, {
+          id,
+          name: group.name ? lead[group.name] || null : id,
+          funnel: createFunnel(funnelStages),
+        });
+      }
+      addToFunnel(groups.get(id).funnel, funnelStages, lostKeys, times);
+    }
+  }
+
+  return {
+    pipeline: { _id: pipeline._id, name: pipeline.name },
+    ...formatFunnel(overall, funnelStages),
+    breakdown: group
+      ? [...groups.values()]
+          .sort((a, b) => b.funnel.leads - a.funnel.leads)
+          .map((entry) => ({
+            [filters.groupBy]: { id: entry.id, name: entry.name },
+            ...formatFunnel(entry.funnel, funnelStages),
+          }))
+      : undefined,
+  };
+};
+
+/**
+ * Stage category of every status, per pipeline ID
+ * Leads without a pipeline use the default one (key "null")
+ */
+const getStageCategories = async () => {
+  const pipelines = await pipelinesService.getPipelines();
+  const categories = new Map();
+
+  pipelines.forEach((pipeline) => {
+    const stages = new Map(
+      pipeline.stages.map((stage) => [stage.key, stage.category]),
+    );
+    categories.set(String(pipeline._id), stages);
+    if (pipeline.isDefault) {
+      categories.set("null", stages);
+    }
+  });
+
+  return categories;
+};
+
+/**
+ * Lead volume, status distribution, conversion rate and duplicate rate
+ * per campaign, ad set, ad or form
+ * Leads merged into another lead still count towards their own entity
+ * as duplicates, while statuses only come from the remaining leads
+ */
+const getPerformanceReport = async (level, filters = {}, user) => {
+  const config = REPORT_LEVELS[level];
+  if (!config) {
+    throw createError(
+      `Invalid report level. Must be one of: ${Object.keys(REPORT_LEVELS).join(", ")}`,
+      400,
+    );
+  }
+
+  const match = buildReportMatch(filters, resolveTimezone(filters.tz, user));
+  // Same filters applied to the attribution of merged leads
+  const sourceMatch = Object.fromEntries(
+    Object.entries(match).map(([field, value]) => [`sources.${field}`, value]),
+  );
+
+  const latest = (field) => ({ $last: `$${field}` });
+  const entityFields = [config.name, ...config.parents];
+
+  const [statusGroups, mergedGroups, categories] = await Promise.all([
+    // Remaining leads per entity, pipeline and status
+    Lead.aggregate([
+      { $match: match },
+      { $sort: { receivedAt: 1 } },
+      {
+        $group: {
+          _id: {
+            entity: `$${config.id}`,
+            pipeline: "$pipeline",
+            status: "$status",
+          },
+          ...Object.fromEntries(
+            entityFields.map((field) => [field, latest(field)]),
+          ),
+          platforms: { $addToSet: "$platform" },
+          count: { $sum: 1 },
+          duplicates: {
+            $sum: { $cond: [{ $ifNull: ["$duplicateOf", false] }, 1, 0] },
+          },
+        },
+      },
+    ]),
+
+    // Leads that were merged into another lead, per entity
+    Lead.aggregate([
+      { $match: { "sources.0": { $exists: true } } },
+      { $unwind: "$sources" },
+      { $match: sourceMatch },
+      { $sort: { "sources.receivedAt": 1 } },
+      {
+        $group: {
+          _id: `$sources.${config.id}`,
+          ...Object.fromEntries(
+            entityFields.map((field) => [field, latest(`sources.${field}`)]),
+          ),
+          platforms: { $addToSet: "$sources.platform" },
+          count: { $sum: 1 },
+        },
+      },
+    ]),
+
+    getStageCategories(),
+  ]);
+
+  const entities = new Map();
+  const getEntity = (id, group) => {
+    const key = id ?? null;
+    if (!entities.has(key)) {
+      entities.set(key, {
+        id: key,
+        ...Object.fromEntries(
+          entityFields.map((field) => [field, group[field] ?? null]),
+        ),
+        platforms: new Set(),
+        leads: 0,
+        merged: 0,
+        duplicates: 0,
+        byStatus: {},
+        byCategory: { open: 0, won: 0, lost: 0 },
+      });
+    }
+    const entity = entities.get(key);
+    // Fill in names missing from older leads
+    entityFields.forEach((field) => {
+      if (!entity[field] && group[field]) entity[field] = group[field];
+    });
+    group.platforms.forEach((platform) => entity.platforms.add(platform));
+    return entity;
+  };
+
+  statusGroups.forEach((group) => {
+    const entity = getEntity(group._id.entity, group);
+    const { status } = group._id;
+
+    entity.leads += group.count;
+    entity.duplicates += group.duplicates;
+    entity.byStatus[status] = (entity.byStatus[status] || 0) + group.count;
+
+    const category = categories
+      .get(String(group._id.pipeline ?? null))
+      ?.get(status);
+    if (category) {
+      entity.byCategory[category] += group.count;
+    }
+  });
+
+  mergedGroups.forEach((group) => {
+    const entity = getEntity(group._id, group);
+    entity.merged += group.count;
+    entity.duplicates += group.count;
+  });
+
+  const items = [...entities.values()]
+    .map(({ platforms, ...entity }) => ({
+      ...entity,
+      platforms: [...platforms].sort(),
+      // Converted share of the remaining leads
+      conversionRate: toRate(entity.byCategory.won, entity.leads),
+      // Duplicate share of every lead received, including merged ones
+      duplicateRate: toRate(entity.duplicates, entity.leads + entity.merged),
+    }))
+    .sort((a, b) => b.leads + b.merged - (a.leads + a.merged));
+
+  return { level, items };
+};
+
+/**
+ * Amount divided by a count, rounded to cents (null when count is 0)
+ */
+const toCost = (amount, count) => {
+  return count > 0 ? Math.round((amount / count) * 100) / 100 : null;
+};
+
+/**
+ * Ad spend joined to leads by day, campaign or ad set, with cost per lead
+ * and cost per converted lead
+ * Only leads from ad platforms count. Spend days are the ad account's days,
+ * lead days follow the requested timezone
+ */
+const getCostReport = async (filters = {}, user) => {
+  const timezone = resolveTimezone(filters.tz, user);
+  const groupBy = filters.groupBy || "date";
+  const group = COST_GROUPS[groupBy];
+  if (!group) {
+    throw createError(
+      `Invalid groupBy. Must be one of: ${Object.keys(COST_GROUPS).join(", ")}`,
+      400,
+    );
+  }
+
+  const spendQuery = adSpendService.buildSpendQuery(filters);
+
+  // Leads received on the same days the spend covers
+  const leadMatch = {
+    ...buildReportMatch({ ...filters, fromDate: null, toDate: null }),
+    platform: filters.platform || { $in: AdSpend.PLATFORMS },
+  };
+  if (spendQuery.date) {
+    const toDay = (date) => date.toISOString().slice(0, 10);
+    leadMatch.receivedAt = {};
+    if (spendQuery.date.$gte) {
+      leadMatch.receivedAt.$gte = parseDateInput(
+        toDay(spendQuery.date.$gte),
+        timezone,
+      );
+    }
+    if (spendQuery.date.$lte) {
+      leadMatch.receivedAt.$lte = parseDateInput(
+        toDay(spendQuery.date.$lte),
+        timezone,
+        { endOfDay: true },
+      );
+    }
+  }
+
+  const names = group.name ? { [group.name]: { $last: `$${group.name}` } } : {};
+
+  const [spendGroups, leadGroups, categories] = await Promise.all([
+    AdSpend.aggregate([
+      { $match: spendQuery },
+      { $sort: { date: 1 } },
+      {
+        $group: {
+          _id: group.spendKey,
+          ...names,
+          spend: { $sum: "$spend" },
+          impressions: { $sum: { $ifNull: ["$impressions", 0] } },
+          clicks: { $sum: { $ifNull: ["$clicks", 0] } },
+          currencies: { $addToSet: "$currency" },
+        },
+      },
+    ]),
+
+    Lead.aggregate([
+      { $match: leadMatch },
+      { $sort: { receivedAt: 1 } },
+      {
+        $group: {
+          _id: {
+            key: group.leadKey(timezone),
+            pipeline: "$pipeline",
+            status: "$status",
+          },
+          ...names,
+          count: { $sum: 1 },
+        },
+      },
+    ]),
+
+    getStageCategories(),
+  ]);
+
+  const rows = new Map();
+  const getRow = (id, source) => {
+    const key = id ?? null;
+    if (!rows.has(key)) {
+      rows.set(key, {
+        [groupBy === "date" ? "date" : "id"]: key,
+        ...(group.name ? { [group.name]: null } : {}),
+        spend: 0,
+        impressions: 0,
+        clicks: 0,
+        currencies: [],
+        leads: 0,
+        converted: 0,
+      });
+    }
+    const row = rows.get(key);
+    if (group.name && !row[group.name] && source[group.name]) {
+      row[group.name] = source[group.name];
+    }
+    return row;
+  };
+
+  spendGroups.forEach((spendGroup) => {
+    const row = getRow(spendGroup._id, spendGroup);
+    row.spend = spendGroup.spend;
+    row.impressions = spendGroup.impressions;
+    row.clicks = spendGroup.clicks;
+    row.currencies = spendGroup.currencies.filter(Boolean).sort();
+  });
+
+  leadGroups.forEach((leadGroup) => {
+    const row = getRow(leadGroup._id.key, leadGroup);
+    row.leads += leadGroup.count;
+
+    const category = categories
+      .get(String(leadGroup._id.pipeline ?? null))
+      ?.get(leadGroup._id.status);
+    if (category === "won") {
+      row.converted += leadGroup.count;
+    }
+  });
+
+  const withCosts = (row) => ({
+    ...row,
+    spend: Math.round(row.spend * 100) / 100,
+    costPerLead: toCost(row.spend, row.leads),
+    costPerConversion: toCost(row.spend, row.converted),
+    conversionRate: toRate(row.converted, row.leads),
+  });
+
+  const items = [...rows.values()]
+    .map(withCosts)
+    .sort((a, b) =>
+      groupBy === "date"
+        ? String(a.date).localeCompare(String(b.date))
+        : b.spend - a.spend,
+    );
+
+  const totals = items.reduce(
+    (sum, row) => ({
+      spend: sum.spend + row.spend,
+      impressions: sum.impressions + row.impressions,
+      clicks: sum.clicks + row.clicks,
+      leads: sum.leads + row.leads,
+      converted: sum.converted + row.converted,
+    }),
+    { spend: 0, impressions: 0, clicks: 0, leads: 0, converted: 0 },
+  );
+
+  return {
+    groupBy,
+    timezone,
+    // Spend is summed as is, so mixed currencies need converting first
+    currencies: [...new Set(items.flatMap((row) => row.currencies))].sort(),
+    totals: withCosts(totals),
+    items,
+  };
+};
+
+/**
+ * Empty SLA tally for a report row
+ */
+const createSlaTally = () => ({
+  total: 0,
+  met: 0,
+  breached: 0,
+  pending: 0,
+  responseTimes: [],
+});
+
+/**
+ * Count one lead's SLA outcome and response time
+ */
+const addToSlaTally = (tally, lead) => {
+  tally.total += 1;
+  tally[lead.sla.status] += 1;
+  if (typeof lead.firstResponseMs === "number") {
+    tally.responseTimes.push(lead.firstResponseMs);
+  }
+};
+
+/**
+ * Compliance rate and response times of a tally
+ * Pending leads are left out of the compliance rate until they are settled
+ */
+const formatSlaTally = ({ responseTimes, ...tally }) => ({
+  ...tally,
+  complianceRate: toRate(tally.met, tally.met + tally.breached),
+  medianResponseMs: median(responseTimes),
+  averageResponseMs:
+    responseTimes.length > 0
+      ? Math.round(
+          responseTimes.reduce((sum, time) => sum + time, 0) /
+            responseTimes.length,
+        )
+      : null,
+});
+
+/**
+ * Agent accountable for a lead's SLA: whoever answered it, else the owner
+ * when the deadline passed, else (while pending) the current owner
+ */
+const getSlaAgent = (lead) => {
+  if (lead.firstResponseBy) return lead.firstResponseBy;
+  if (lead.sla.status === "pending") return lead.assignedTo ?? null;
+  return lead.sla.assigneeAtBreach ?? null;
+};
+
+/**
+ * Response SLA compliance and first-response times of leads received
+ * in a date range, per accountable agent and per platform
+ * Only leads that matched an SLA policy are counted
+ */
+const getSlaReport = async (filters = {}, user) => {
+  const match = {
+    ...buildReportMatch(filters, resolveTimezone(filters.tz, user)),
+    "sla.status": { $in: Lead.SLA_STATUSES },
+  };
+
+  const overall = createSlaTally();
+  const agents = new Map();
+  const platforms = new Map();
+  const tallyFor = (map, key) => {
+    if (!map.has(key)) map.set(key, createSlaTally());
+    return map.get(key);
+  };
+
+  const cursor = Lead.aggregate([
+    { $match: match },
+    {
+      $project: {
+        platform: 1,
+        assignedTo: 1,
+        sla: 1,
+        firstResponseBy: 1,
+        firstResponseMs: 1,
+      },
+    },
+  ]).cursor();
+
+  for await (const lead of cursor) {
+    addToSlaTally(overall, lead);
+    addToSlaTally(tallyFor(agents, String(getSlaAgent(lead))), lead);
+    addToSlaTally(tallyFor(platforms, lead.platform), lead);
+  }
+
+  const agentIds = [...agents.keys()].filter((id) => id !== "null");
+  const users = await User.find({ _id: { $in: agentIds } }).select(
+    "name email",
+  );
+  const usersById = new Map(users.map((agent) => [String(agent._id), agent]));
+
+  return {
+    ...formatSlaTally(overall),
+    // Leads with nobody accountable are grouped under agent null
+    byAgent: [...agents.entries()]
+      .map(([id, tally]) => ({
+        agent:
+          id === "null"
+            ? null
+            : {
+                _id: id,
+                name: usersById.get(id)?.name || null,
+                email: usersById.get(id)?.email || null,
+              },
+        ...formatSlaTally(tally),
+      }))
+      .sort((a, b) => b.total - a.total),
+    byPlatform: [...platforms.entries()]
+      .map(([platform, tally]) => ({ platform, ...formatSlaTally(tally) }))
+      .sort((a, b) => b.total - a.total),
+  };
+};
+
+module.exports = {
+  buildReportMatch,
+  getFunnel,
+  getPerformanceReport,
+  getCostReport,
+  getSlaReport,
+};
@@ -0,0 +1,340 @@
+const Lead = require("../models/Lead");
+const ScoringRule = require("../models/ScoringRule");
+const pipelinesService = require("./pipelines.service");
+const { isValidObjectId, createError } = require("../utils/errors");
+const { isValidEmail } = require("../utils/validators");
+
+// Leads rescored per batch when recomputing every lead
+const RECOMPUTE_BATCH_SIZE = 500;
+
+/**
+ * Read the value a rule tests from a lead
+ */
+const getFieldValue = (lead, field, now = new Date()) => {
+  if (field.startsWith("customFields.")) {
+    return lead.customFields?.[field.slice("customFields.".length)];
+  }
+
+  switch (field) {
+    case "hasValidEmail":
+      return Boolean(lead.email) && isValidEmail(lead.email);
+    case "hasValidPhone":
+      return lead.phoneValid === true;
+    case "ageHours": {
+      const createdAt = lead.platformCreatedAt || lead.receivedAt;
+      return createdAt ? (now - new Date(createdAt)) / (60 * 60 * 1000) : null;
+    }
+    default:
+      return lead[field];
+  }
+};
+
+/**
+ * Read a number from a form answer, e.g. "50,000" or "$ 1200"
+ */
+const toNumber = (value) => {
+  if (typeof value === "number") return value;
+  if (typeof value !== "string") return NaN;
+  const cleaned = value.replace(/[^\d.-]/g, "");
+  return cleaned ? Number(cleaned) : NaN;
+};
+
+/**
+ * Compare values as case-insensitive trimmed strings
+ */
+const sameText = (a, b) =>
+  String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+/**
+ * Whether a lead meets a rule's condition
+ */
+const matchesRule = (lead, rule, now = new Date()) => {
+  const actual = getFieldValue(lead, rule.field, now);
+  const isEmpty = actual === undefined || actual === null || actual === "";
+  const expected = rule.value;
+
+  switch (rule.operator) {
+    case "exists":
+      return expected === false ? isEmpty : !isEmpty;
+    case "equals":
+      return !isEmpty && sameText(actual, expected);
+    case "not_equals":
+      return isEmpty || !sameText(actual, expected);
+    case "in":
+      return (
+        !isEmpty &&
+        Array.isArray(expected) &&
+        expected.some((option) => sameText(actual, option))
+      );
+    case "contains":
+      return (
+        !isEmpty &&
+        String(actual).toLowerCase().includes(String(expected).toLowerCase())
+      );
+    case "gt":
+    case "gte":
+    case "lt":
+    case "lte": {
+      const number = toNumber(actual);
+      const limit = Number(expected);
+      if (isNaN(number) || isNaN(limit)) return false;
+      if (rule.operator === "gt") return number > limit;
+      if (rule.operator === "gte") return number >= limit;
+      if (rule.operator === "lt") return number < limit;
+      return number <= limit;
+    }
+    default:
+      return false;
+  }
+};
+
+/**
+ * Compute a lead's score from the given rules
+ */
+const computeScore = (lead, rules, now = new Date()) => {
+  const breakdown = rules
+    .filter((rule) => matchesRule(lead, rule, now))
+    .map((rule) => ({ rule: rule._id, name: rule.name, points: rule.points }));
+
+  return {
+    score: breakdown.reduce((total, entry) => total + entry.points, 0),
+    scoreBreakdown: breakdown,
+  };
+};
+
+/**
+ * Get active rules used for scoring
+ */
+const getActiveRules = async () => {
+  return ScoringRule.find({ active: true }).lean();
+};
+
+/**
+ * Recompute and store a lead's score
+ * Errors are logged so scoring never blocks saving the lead itself
+ */
+const scoreLead = async (lead) => {
+  try {
+    const rules = await getActiveRules();
+    const result = { ...computeScore(lead, rules), scoredAt: new Date() };
+
+    await Lead.updateOne({ _id: lead._id }, result);
+    lead.set(result);
+  } catch (error) {
+    console.error(`⚠️ Failed to score lead ${lead._id}:`, error.message);
+  }
+  return lead;
+};
+
+/**
+ * Rescore the leads matching a query in batches
+ * With onlyChanged, leads whose matching rules are unchanged are skipped
+ * Returns the number of leads written
+ */
+const rescoreLeads = async (query, rules, { onlyChanged = false } = {}) => {
+  const now = new Date();
+  let updated = 0;
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    await Lead.bulkWrite(batch, { ordered: false });
+    updated += batch.length;
+    batch = [];
+  };
+
+  const ruleIds = (breakdown = []) =>
+    breakdown.map((entry) => String(entry.rule)).join(",");
+
+  const cursor = Lead.find(query).lean().cursor();
+  for await (const lead of cursor) {
+    const result = computeScore(lead, rules, now);
+    if (
+      onlyChanged &&
+      result.score === lead.score &&
+      ruleIds(result.scoreBreakdown) === ruleIds(lead.scoreBreakdown)
+    ) {
+      continue;
+    }
+
+    batch.push({
+      updateOne: {
+        filter: { _id: lead._id },
+        update: { ...result, scoredAt: now },
+      },
+    });
+    if (batch.length >= RECOMPUTE_BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  return updated;
+};
+
+/**
+ * Recompute the score of every lead (after changing rules)
+ */
+const recomputeAllScores = async () => {
+  const rules = await getActiveRules();
+  const updated = await rescoreLeads({}, rules);
+
+  console.log(`🎯 Rescored ${updated} leads with ${rules.length} rules`);
+  return { updated, rules: rules.length };
+};
+
+/**
+ * Rescore open leads so recency rules (ageHours) stay current
+ * Does nothing when no active rule depends on the lead's age
+ */
+const refreshRecencyScores = async () => {
+  const rules = await getActiveRules();
+  if (!rules.some((rule) => rule.field === "ageHours")) return 0;
+
+  const openStages = await pipelinesService.buildStageCategoryQuery(["open"]);
+  return rescoreLeads(openStages, rules, { onlyChanged: true });
+};
+
+/**
+ * Validate rule fields shared by create and update
+ */
+const validateRuleData = (data) => {
+  if (
+    data.field !== undefined &&
+    !ScoringRule.FIELDS.includes(data.field) &&
+    !/^customFields\.[^.$]+$/.test(data.field)
+  ) {
+    throw createError(
+      `Invalid field. Must be one of: ${ScoringRule.FIELDS.join(", ")} or customFields.<name>`,
+      400,
+    );
+  }
+
+  if (
+    data.operator !== undefined &&
+    !ScoringRule.OPERATORS.includes(data.operator)
+  ) {
+    throw createError(
+      `Invalid operator. Must be one of: ${ScoringRule.OPERATORS.join(", ")}`,
+      400,
+    );
+  }
+
+  if (data.operator === "in" && !Array.isArray(data.value)) {
+    throw createError('The "in" operator needs a list of values', 400);
+  }
+
+  if (
+    ["gt", "gte", "lt", "lte"].includes(data.operator) &&
+    isNaN(Number(data.value))
+  ) {
+    throw createError(`The "${data.operator}" operator needs a number`, 400);
+  }
+
+  if (data.points !== undefined && !Number.isFinite(Number(data.points))) {
+    throw createError("Points must be a number", 400);
+  }
+};
+
+/**
+ * Get all scoring rules
+ */
+const getRules = async () => {
+  return ScoringRule.find().sort({ createdAt: 1 });
+};
+
+/**
+ * Create scoring rule
+ */
+const createRule = async (data) => {
+  if (!data || !data.name || !data.field || !data.operator) {
+    throw createError("Rule name, field and operator are required", 400);
+  }
+  if (data.points === undefined) {
+    throw createError("Rule points are required", 400);
+  }
+
+  validateRuleData(data);
+
+  return ScoringRule.create({
+    name: data.name,
+    active: data.active,
+    field: data.field,
+    operator: data.operator,
+    value: data.value,
+    points: data.points,
+  });
+};
+
+/**
+ * Update scoring rule
+ */
+const updateRule = async (id, updateData) => {
+  if (!id || !isValidObjectId(id)) {
+    throw createError("Invalid rule ID format", 400);
+  }
+
+  if (!updateData || typeof updateData !== "object") {
+    throw createError("Update data is required", 400);
+  }
+
+  const rule = await ScoringRule.findById(id);
+  if (!rule) {
+    throw createError("Scoring rule not found", 404);
+  }
+
+  const allowedFields = [
+    "name",
+    "active",
+    "field",
+    "operator",
+    "value",
+    "points",
+  ];
+  const filteredData = {};
+  for (const field of allowedFields) {
+    if (updateData[field] !== undefined) {
+      filteredData[field] = updateData[field];
+    }
+  }
+
+  if (Object.keys(filteredData).length === 0) {
+    throw createError("No valid fields to update", 400);
+  }
+
+  // Operator and value are checked together
+  validateRuleData({
+    operator: rule.operator,
+    value: rule.value,
+    ...filteredData,
+  });
+
+  rule.set(filteredData);
+  return rule.save();
+};
+
+/**
+ * Delete scoring rule
+ */
+const deleteRule = async (id) => {
+  if (!id || !isValidObjectId(id)) {
+    throw createError("Invalid rule ID format", 400);
+  }
+
+  const rule = await ScoringRule.findByIdAndDelete(id);
+  if (!rule) {
+    throw createError("Scoring rule not found", 404);
+  }
+  return rule;
+};
+
+module.exports = {
+  computeScore,
+  scoreLead,
+  recomputeAllScores,
+  refreshRecencyScores,
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+};
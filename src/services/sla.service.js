@@ -0,0 +1,352 @@
+const Lead = require("../models/Lead");
+const SlaPolicy = require("../models/SlaPolicy");
+const activityService = require("./activity.service");
+const { emitEvent } = require("../events/eventBus");
+const { isValidObjectId, createError } = require("../utils/errors");
+const {
+  DAY_MS,
+  isValidTimezone,
+  toWallClock,
+  fromWallClock,
+} = require("../utils/timezone");
+
+const MINUTE_MS = 60 * 1000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+// Give up looking for business hours after this many days
+const MAX_SEARCH_DAYS = 3660;
+
+/**
+ * Check whether a policy's conditions match a lead
+ */
+const policyMatches = (policy, lead) => {
+  if (policy.platform && policy.platform !== lead.platform) return false;
+  if (policy.campaignId && policy.campaignId !== lead.campaignId) return false;
+  return true;
+};
+
+/**
+ * Minutes since midnight of an "HH:MM" time
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Deadline after a number of working minutes, counting only business hours
+ * Without business days every minute counts
+ */
+const addBusinessMinutes = (start, minutes, businessHours) => {
+  const days = businessHours?.days || [];
+  if (days.length === 0) {
+    return new Date(start.getTime() + minutes * MINUTE_MS);
+  }
+
+  const timezone =
+    businessHours.timezone || process.env.DEFAULT_TIMEZONE || "UTC";
+  const openMinutes = businessHours.start ? toMinutes(businessHours.start) : 0;
+  const closeMinutes = businessHours.end ? toMinutes(businessHours.end) : 1440;
+
+  let remaining = minutes * MINUTE_MS;
+  let wallClock = toWallClock(start, timezone);
+
+  // Walk the wall-clock days, spending the time left in each open window
+  for (let day = 0; day < MAX_SEARCH_DAYS; day++) {
+    const dayStart = wallClock - (wallClock % DAY_MS);
+
+    if (days.includes(new Date(dayStart).getUTCDay())) {
+      const from = Math.max(wallClock, dayStart + openMinutes * MINUTE_MS);
+      const close = dayStart + closeMinutes * MINUTE_MS;
+
+      if (from < close) {
+        if (remaining <= close - from) {
+          return fromWallClock(from + remaining, timezone);
+        }
+        remaining -= close - from;
+      }
+    }
+
+    wallClock = dayStart + DAY_MS;
+  }
+
+  return null;
+};
+
+/**
+ * Start the response clock of a new lead using the first matching policy
+ */
+const applyPolicy = async (lead) => {
+  const policies = await SlaPolicy.find({ active: true }).sort({
+    priority: -1,
+    createdAt: 1,
+  });
+  const policy = policies.find((candidate) => policyMatches(candidate, lead));
+  if (!policy) return lead;
+
+  const dueAt = addBusinessMinutes(
+    lead.receivedAt || new Date(),
+    policy.responseMinutes,
+    policy.businessHours,
+  );
+  if (!dueAt) return lead;
+
+  const sla = { policy: policy._id, dueAt, status: "pending" };
+
+  // Leave leads that were already answered alone
+  const updated = await Lead.findOneAndUpdate(
+    { _id: lead._id, firstResponseAt: null },
+    { sla },
+    { new: true },
+  );
+  return updated || lead;
+};
+
+/**
+ * Record the breach of a lead's SLA and notify subscribers
+ */
+const notifyBreach = async (lead) => {
+  console.log(`⏰ Lead ${lead._id} breached its response SLA`);
+
+  await activityService.recordActivity({
+    lead,
+    type: "sla_breached",
+    metadata: { policy: lead.sla.policy, dueAt: lead.sla.dueAt },
+  });
+  emitEvent("lead.sla_breached", { lead });
+};
+
+/**
+ * Record the first contact with a lead and settle its SLA
+ * Later contacts are ignored; failures are logged, never thrown
+ */
+const recordFirstResponse = async (leadId, user, at = new Date()) => {
+  try {
+    const lead = await Lead.findOne({ _id: leadId, firstResponseAt: null });
+    if (!lead) return null;
+
+    const receivedAt = lead.receivedAt || lead.createdAt;
+    const update = {
+      $set: {
+        firstResponseAt: at,
+        firstResponseBy: user?._id || user || undefined,
+        // Back-dated interactions never count as negative response times
+        firstResponseMs: Math.max(0, at - receivedAt),
+      },
+    };
+
+    // The SLA is settled by when the response happened, so an interaction
+    // logged late but back-dated before the deadline clears a breach
+    const status = lead.sla?.status;
+    const late = Boolean(status) && at > lead.sla.dueAt;
+    if (status && !late) {
+      update.$set["sla.status"] = "met";
+      update.$unset = { "sla.breachedAt": "", "sla.assigneeAtBreach": "" };
+    } else if (status === "pending") {
+      update.$set["sla.status"] = "breached";
+      update.$set["sla.breachedAt"] = lead.sla.dueAt;
+      update.$set["sla.assigneeAtBreach"] = lead.assignedTo;
+    }
+
+    const updated = await Lead.findOneAndUpdate(
+      { _id: lead._id, firstResponseAt: null },
+      update,
+      { new: true },
+    );
+
+    // Answered after the deadline before the breach check noticed
+    if (updated && late && status === "pending") {
+      await notifyBreach(updated);
+    }
+    return updated;
+  } catch (error) {
+    console.error(
+      `⚠️ Failed to record first response for lead ${leadId}:`,
+      error.message,
+    );
+    return null;
+  }
+};
+
+/**
+ * Flag one unanswered lead whose response deadline has passed,
+ * remembering who owned it at that moment
+ * Returns the lead, or null when there is none left
+ */
+const claimNewlyBreached = async (now = new Date()) => {
+  return Lead.findOneAndUpdate(
+    { "sla.status": "pending", "sla.dueAt": { $lt: now } },
+    [
+      {
+        $set: {
+          "sla.status": "breached",
+          "sla.breachedAt": now,
+          "sla.assigneeAtBreach": "$assignedTo",
+        },
+      },
+    ],
+    { sort: { "sla.dueAt": 1 }, new: true },
+  );
+};
+
+/**
+ * Validate policy fields shared by create and update
+ */
+const validatePolicyData = (data) => {
+  if (data.platform !== undefined && !Lead.PLATFORMS.includes(data.platform)) {
+    throw createError(
+      `Invalid platform. Must be one of: ${Lead.PLATFORMS.join(", ")}`,
+      400,
+    );
+  }
+
+  if (
+    data.responseMinutes !== undefined &&
+    !(Number(data.responseMinutes) >= 1)
+  ) {
+    throw createError("responseMinutes must be at least 1", 400);
+  }
+
+  const businessHours = data.businessHours;
+  if (businessHours === undefined || businessHours === null) return;
+
+  if (typeof businessHours !== "object" || Array.isArray(businessHours)) {
+    throw createError("businessHours must be an object", 400);
+  }
+  if (
+    businessHours.timezone !== undefined &&
+    !isValidTimezone(businessHours.timezone)
+  ) {
+    throw createError(`Unknown timezone "${businessHours.timezone}"`, 400);
+  }
+  if (
+    businessHours.days !== undefined &&
+    (!Array.isArray(businessHours.days) ||
+      !businessHours.days.every(
+        (day) => Number.isInteger(day) && day >= 0 && day <= 6,
+      ))
+  ) {
+    throw createError(
+      "businessHours.days must be an array of weekdays from 0 (Sunday) to 6",
+      400,
+    );
+  }
+  ["start", "end"].forEach((field) => {
+    if (
+      businessHours[field] !== undefined &&
+      !TIME_PATTERN.test(businessHours[field])
+    ) {
+      throw createError(`businessHours.${field} must be "HH:MM"`, 400);
+    }
+  });
+  if (
+    businessHours.start &&
+    businessHours.end &&
+    toMinutes(businessHours.start) >= toMinutes(businessHours.end)
+  ) {
+    throw createError("businessHours.start must be before end", 400);
+  }
+};
+
+/**
+ * Get all SLA policies
+ */
+const getPolicies = async () => {
+  return SlaPolicy.find().sort({ priority: -1, createdAt: 1 });
+};
+
+/**
+ * Create SLA policy
+ */
+const createPolicy = async (data) => {
+  if (!data || !data.name) {
+    throw createError("Policy name is required", 400);
+  }
+  if (data.responseMinutes === undefined) {
+    throw createError("responseMinutes is required", 400);
+  }
+
+  validatePolicyData(data);
+
+  return SlaPolicy.create({
+    name: data.name,
+    active: data.active,
+    priority: data.priority,
+    platform: data.platform,
+    campaignId: data.campaignId,
+    responseMinutes: data.responseMinutes,
+    businessHours: data.businessHours,
+  });
+};
+
+/**
+ * Update SLA policy
+ * Deadlines of leads already received are not recalculated
+ */
+const updatePolicy = async (id, updateData) => {
+  if (!id || !isValidObjectId(id)) {
+    throw createError("Invalid policy ID format", 400);
+  }
+
+  if (!updateData || typeof updateData !== "object") {
+    throw createError("Update data is required", 400);
+  }
+
+  const allowedFields = [
+    "name",
+    "active",
+    "priority",
+    "platform",
+    "campaignId",
+    "responseMinutes",
+    "businessHours",
+  ];
+  const filteredData = {};
+  for (const field of allowedFields) {
+    if (updateData[field] !== undefined) {
+      filteredData[field] = updateData[field];
+    }
+  }
+
+  if (Object.keys(filteredData).length === 0) {
+    throw createError("No valid fields to update", 400);
+  }
+
+  validatePolicyData(filteredData);
+
+  const policy = await SlaPolicy.findByIdAndUpdate(id, filteredData, {
+    new: true,
+    runValidators: true,
+  });
+
+  if (!policy) {
+    throw createError("SLA policy not found", 404);
+  }
+  return policy;
+};
+
+/**
+ * Delete SLA policy
+ */
+const deletePolicy = async (id) => {
+  if (!id || !isValidObjectId(id)) {
+    throw createError("Invalid policy ID format", 400);
+  }
+
+  const policy = await SlaPolicy.findByIdAndDelete(id);
+  if (!policy) {
+    throw createError("SLA policy not found", 404);
+  }
+  return policy;
+};
+
+module.exports = {
+  addBusinessMinutes,
+  applyPolicy,
+  recordFirstResponse,
+  claimNewlyBreached,
+  notifyBreach,
+  getPolicies,
+  createPolicy,
+  updatePolicy,
+  deletePolicy,
+};
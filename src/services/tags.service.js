@@ -0,0 +1,255 @@
+const mongoose = require("mongoose");
+const Lead = require("../models/Lead");
+const Tag = require("../models/Tag");
+const LeadActivity = require("../models/LeadActivity");
+const { isValidObjectId, createError } = require("../utils/errors");
+
+/**
+ * Validate tag fields shared by create and update
+ */
+const validateTagData = (data) => {
+  if (data.name !== undefined) {
+    if (typeof data.name !== "string" || !data.name.trim()) {
+      throw createError("Tag name is required", 400);
+    }
+    if (data.name.trim().length > 50) {
+      throw createError("Tag name must be at most 50 characters", 400);
+    }
+  }
+
+  if (
+    data.color !== undefined &&
+    !/^#[0-9a-fA-F]{6}$/.test(String(data.color))
+  ) {
+    throw createError('Tag color must be a hex color like "#e53935"', 400);
+  }
+};
+
+/**
+ * Ensure no other tag uses the name (case-insensitive)
+ */
+const ensureUniqueName = async (name, excludeId) => {
+  const query = { name: name.trim() };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  const exists = await Tag.findOne(query).collation(Tag.NAME_COLLATION);
+  if (exists) {
+    throw createError(`A tag named "${exists.name}" already exists`, 409);
+  }
+};
+
+/**
+ * Count leads per tag, optionally within a lead query
+ * Returns a Map of tag ID to count
+ */
+const getTagCounts = async (match = {}) => {
+  const counts = await Lead.aggregate([
+    { $match: match },
+    { $unwind: "$tags" },
+    { $group: { _id: "$tags", count: { $sum: 1 } } },
+  ]);
+  return new Map(counts.map((count) => [String(count._id), count.count]));
+};
+
+/**
+ * Get the tag catalogue with how many leads carry each tag
+ */
+const getTags = async () => {
+  const [tags, counts] = await Promise.all([
+    Tag.find().collation(Tag.NAME_COLLATION).sort({ name: 1 }),
+    getTagCounts(),
+  ]);
+
+  return tags.map((tag) => ({
+    ...tag.toObject(),
+    leadCount: counts.get(String(tag._id)) || 0,
+  }));
+};
+
+/**
+ * Get tag by ID
+ */
+const getTagById = async (id) => {
+  if (!id || !isValidObjectId(id)) {
+    throw createError("Invalid tag ID format", 400);
+  }
+
+  const tag = await Tag.findById(id);
+  if (!tag) {
+    throw createError("Tag not found", 404);
+  }
+  return tag;
+};
+
+/**
+ * Resolve tag IDs, failing if any of them does not exist
+ */
+const resolveTags = async (ids) => {
+  const tagIds = Array.isArray(ids) ? ids : [ids];
+  if (tagIds.length === 0 || !tagIds.every((id) => isValidObjectId(id))) {
+    throw createError("Invalid tag ID format", 400);
+  }
+
+  const tags = await Tag.find({ _id: { $in: tagIds } });
+  if (tags.length !== new Set(tagIds.map(String)).size) {
+    throw createError("Tag not found", 404);
+  }
+  return tags;
+};
+
+/**
+ * Create tag
+ */
+const createTag = async (data) => {
+  if (!data || !data.name) {
+    throw createError("Tag name is required", 400);
+  }
+  validateTagData(data);
+  await ensureUniqueName(data.name);
+
+  return Tag.create({
+    name: data.name,
+    color: data.color,
+    description: data.description,
+  });
+};
+
+/**
+ * Update tag
+ */
+const updateTag = async (id, updateData) => {
+  const tag = await getTagById(id);
+
+  if (!updateData || typeof updateData !== "object") {
+    throw createError("Update data is required", 400);
+  }
+
+  const allowedFields = ["name", "color", "description"];
+  const filteredData = {};
+  for (const field of allowedFields) {
+    if (updateData[field] !== undefined) {
+      filteredData[field] = updateData[field];
+    }
+  }
+
+  if (Object.keys(filteredData).length === 0) {
+    throw createError("No valid fields to update", 400);
+  }
+
+  validateTagData(filteredData);
+  if (filteredData.name !== undefined) {
+    await ensureUniqueName(filteredData.name, tag._id);
+  }
+
+  tag.set(filteredData);
+  return tag.save();
+};
+
+/**
+ * Delete tag and remove it from every lead
+ */
+const deleteTag = async (id) => {
+  const tag = await getTagById(id);
+
+  await Lead.updateMany({ tags: tag._id }, { $pull: { tags: tag._id } });
+  await tag.deleteOne();
+  return tag;
+};
+
+/**
+ * Add or remove a tag on all leads matching a query
+ * Only leads that actually change get an activity entry
+ */
+const setTagOnLeads = async (query, tag, add, actor = null) => {
+  const filter = {
+    ...query,
+    $and: [...(query.$and || []), { tags: add ? { $ne: tag._id } : tag._id }],
+  };
+
+  const leads = await Lead.find(filter).select("_id");
+  if (leads.length === 0) return 0;
+
+  const leadIds = leads.map((lead) => lead._id);
+  const { modifiedCount } = await Lead.updateMany(
+    { _id: { $in: leadIds } },
+    add ? { $addToSet: { tags: tag._id } } : { $pull: { tags: tag._id } },
+  );
+
+  try {
+    await LeadActivity.insertMany(
+      leadIds.map((leadId) => ({
+        lead: leadId,
+        type: add ? "tag_added" : "tag_removed",
+        actor: actor?._id || actor,
+        changes: [
+          {
+            field: "tags",
+            from: add ? null : tag._id,
+            to: add ? tag._id : null,
+          },
+        ],
+        metadata: { tag: tag.name },
+      })),
+      { ordered: false },
+    );
+  } catch (error) {
+    console.error("⚠️ Failed to record tag activity:", error.message);
+  }
+
+  return modifiedCount;
+};
+
+/**
+ * Find a lead for tagging
+ */
+const ensureLead = async (leadId) => {
+  if (!leadId || !isValidObjectId(leadId)) {
+    throw createError("Invalid lead ID format", 400);
+  }
+
+  const exists = await Lead.exists({ _id: leadId });
+  if (!exists) {
+    throw createError("Lead not found", 404);
+  }
+};
+
+/**
+ * Add tags to a lead
+ */
+const addLeadTags = async (leadId, tagIds, user) => {
+  await ensureLead(leadId);
+  const tags = await resolveTags(tagIds);
+
+  const query = { _id: new mongoose.Types.ObjectId(String(leadId)) };
+  for (const tag of tags) {
+    await setTagOnLeads(query, tag, true, user);
+  }
+
+  return Lead.findById(leadId).populate("tags");
+};
+
+/**
+ * Remove a tag from a lead
+ */
+const removeLeadTag = async (leadId, tagId, user) => {
+  await ensureLead(leadId);
+  const tag = await getTagById(tagId);
+
+  const query = { _id: new mongoose.Types.ObjectId(String(leadId)) };
+  await setTagOnLeads(query, tag, false, user);
+
+  return Lead.findById(leadId).populate("tags");
+};
+
+module.exports = {
+  getTags,
+  getTagCounts,
+  getTagById,
+  resolveTags,
+  createTag,
+  updateTag,
+  deleteTag,
+  setTagOnLeads,
+  addLeadTags,
+  removeLeadTag,
+};
@@ -0,0 +1,368 @@
+const mongoose = require("mongoose");
+const Lead = require("../models/Lead");
+const Task = require("../models/Task");
+const assignmentService = require("./assignment.service");
+const activityService = require("./activity.service");
+const { emitEvent } = require("../events/eventBus");
+const { isValidObjectId, createError } = require("../utils/errors");
+
+/**
+ * Ensure the lead exists before touching its tasks
+ */
+const ensureLead = async (leadId) => {
+  if (!leadId || !isValidObjectId(leadId)) {
+    throw createError("Invalid lead ID format", 400);
+  }
+
+  const lead = await Lead.findById(leadId).select("assignedTo");
+  if (!lead) {
+    throw createError("Lead not found", 404);
+  }
+  return lead;
+};
+
+/**
+ * Parse a date field, rejecting values that are not dates
+ */
+const parseDate = (value, field) => {
+  const date = new Date(value);
+  if (value === null || value === "" || isNaN(date)) {
+    throw createError(`Invalid ${field} date`, 400);
+  }
+  return date;
+};
+
+/**
+ * Whether the user may change a task (assignee, creator, admins and managers)
+ */
+const canManageTask = (task, user) => {
+  return (
+    ["admin", "manager"].includes(user.role) ||
+    task.assignee.equals(user._id) ||
+    task.createdBy?.equals(user._id)
+  );
+};
+
+/**
+ * Resolve who a task is for; agents can only give tasks to themselves
+ */
+const resolveTaskAssignee = async (assigneeId, user) => {
+  const isSelf = String(assigneeId) === String(user._id);
+  if (!isSelf && !["admin", "manager"].includes(user.role)) {
+    throw createError("Agents can only assign tasks to themselves", 403);
+  }
+
+  const assignee = await assignmentService.resolveAssignee(assigneeId);
+  if (!assignee) {
+    throw createError("A task needs an assignee", 400);
+  }
+  return assignee;
+};
+
+/**
+ * Get tasks with filters (soonest due first)
+ */
+const getTasks = async (filters = {}, options = {}) => {
+  const query = {};
+
+  if (filters.lead) {
+    if (!isValidObjectId(filters.lead)) {
+      throw createError("Invalid lead ID format", 400);
+    }
+    query.lead = new mongoose.Types.ObjectId(String(filters.lead));
+  }
+
+  if (filters.assignee) {
+    if (!isValidObjectId(filters.assignee)) {
+      throw createError("Invalid assignee ID format", 400);
+    }
+    query.assignee = new mongoose.Types.ObjectId(String(filters.assignee));
+  }
+
+  if (filters.type) {
+    query.type = filters.type;
+  }
+
+  if (filters.done !== undefined) {
+    query.done = String(filters.done) === "true";
+  }
+
+  // Overdue is derived from the due date so it is exact between scheduler runs
+  if (String(filters.overdue) === "true") {
+    query.done = false;
+    query.dueAt = { $lt: new Date() };
+  }
+
+  if (filters.dueFrom || filters.dueTo) {
+    query.dueAt = { ...query.dueAt };
+    if (filters.dueFrom) {
+      query.dueAt.$gte = parseDate(filters.dueFrom, "dueFrom");
+    }
+    if (filters.dueTo) {
+      query.dueAt.$lte = parseDate(filters.dueTo, "dueTo");
+    }
+  }
+
+  // Pagination
+  const page = parseInt(options.page) || 1;
+  const limit = parseInt(options.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const [tasks, total] = await Promise.all([
+    Task.find(query)
+      .sort({ dueAt: 1, _id: 1 })
+      .skip(skip)
+      .limit(limit)
+      .populate("lead", "customerName phone email status")
+      .populate("assignee", "name email"),
+    Task.countDocuments(query),
+  ]);
+
+  return {
+    tasks,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/**
+ * Get tasks of a lead
+ */
+const getLeadTasks = async (leadId, filters = {}, options = {}) => {
+  await ensureLead(leadId);
+  return getTasks({ ...filters, lead: leadId }, options);
+};
+
+/**
+ * Get the user's open tasks that are past their due time
+ */
+const getOverdueTasks = async (user, options = {}) => {
+  return getTasks({ assignee: user._id, overdue: true }, options);
+};
+
+/**
+ * Get task by ID
+ */
+const getTaskById = async (id) => {
+  if (!id || !isValidObjectId(id)) {
+    throw createError("Invalid task ID format", 400);
+  }
+
+  const task = await Task.findById(id);
+  if (!task) {
+    throw createError("Task not found", 404);
+  }
+  return task;
+};
+
+/**
+ * Create a task on a lead
+ * The assignee defaults to the lead's owner for admins and managers,
+ * and to the creator otherwise
+ */
+const createTask = async (leadId, data, user) => {
+  const lead = await ensureLead(leadId);
+
+  if (!data || typeof data !== "object") {
+    throw createError("Task data is required", 400);
+  }
+
+  if (typeof data.title !== "string" || !data.title.trim()) {
+    throw createError("Task title is required", 400);
+  }
+
+  const type = data.type || "follow_up";
+  if (!Task.TYPES.includes(type)) {
+    throw createError(
+      `Invalid task type. Must be one of: ${Task.TYPES.join(", ")}`,
+      400,
+    );
+  }
+
+  if (data.dueAt === undefined) {
+    throw createError("Task dueAt is required", 400);
+  }
+  const dueAt = parseDate(data.dueAt, "dueAt");
+  const remindAt =
+    data.remindAt !== undefined ? parseDate(data.remindAt, "remindAt") : dueAt;
+
+  const defaultAssignee = ["admin", "manager"].includes(user.role)
+    ? lead.assignedTo || user._id
+    : user._id;
+  const assignee = await resolveTaskAssignee(
+    data.assignee || defaultAssignee,
+    user,
+  );
+
+  const task = await Task.create({
+    lead: lead._id,
+    assignee: assignee._id,
+    createdBy: user._id,
+    type,
+    title: data.title,
+    description: data.description,
+    dueAt,
+    remindAt,
+  });
+
+  await activityService.recordActivity({
+    lead: lead._id,
+    type: "task_created",
+    actor: user,
+    metadata: { task: task._id, taskType: task.type, dueAt: task.dueAt },
+  });
+
+  emitEvent("task.created", { task });
+
+  return task.populate("assignee", "name email");
+};
+
+/**
+ * Update task (assignee, creator, admins and managers)
+ * Rescheduling re-arms the reminder and clears the overdue flag
+ */
+const updateTask = async (id, updateData, user) => {
+  const task = await getTaskById(id);
+
+  if (!canManageTask(task, user)) {
+    throw createError("You can only change your own tasks", 403);
+  }
+
+  if (!updateData || typeof updateData !== "object") {
+    throw createError("Update data is required", 400);
+  }
+
+  const allowedFields = ["title", "description", "type"];
+  const filteredData = {};
+  for (const field of allowedFields) {
+    if (updateData[field] !== undefined) {
+      filteredData[field] = updateData[field];
+    }
+  }
+
+  if (
+    filteredData.type !== undefined &&
+    !Task.TYPES.includes(filteredData.type)
+  ) {
+    throw createError(
+      `Invalid task type. Must be one of: ${Task.TYPES.join(", ")}`,
+      400,
+    );
+  }
+
+  if (updateData.dueAt !== undefined) {
+    filteredData.dueAt = parseDate(updateData.dueAt, "dueAt");
+    filteredData.overdue = false;
+    // Reminder follows the due time unless one is given explicitly
+    if (updateData.remindAt === undefined) {
+      filteredData.remindAt = filteredData.dueAt;
+    }
+  }
+
+  if (updateData.remindAt !== undefined) {
+    filteredData.remindAt = parseDate(updateData.remindAt, "remindAt");
+  }
+
+  if (filteredData.remindAt !== undefined) {
+    filteredData.reminderSentAt = null;
+  }
+
+  if (updateData.assignee !== undefined) {
+    const assignee = await resolveTaskAssignee(updateData.assignee, user);
+    filteredData.assignee = assignee._id;
+  }
+
+  if (Object.keys(filteredData).length === 0) {
+    throw createError("No valid fields to update", 400);
+  }
+
+  task.set(filteredData);
+  await task.save();
+  return task.populate("assignee", "name email");
+};
+
+/**
+ * Mark a task as done
+ */
+const completeTask = async (id, user) => {
+  const task = await getTaskById(id);
+
+  if (!canManageTask(task, user)) {
+    throw createError("You can only complete your own tasks", 403);
+  }
+
+  if (task.done) {
+    return task;
+  }
+
+  task.done = true;
+  task.completedAt = new Date();
+  task.completedBy = user._id;
+  await task.save();
+
+  await activityService.recordActivity({
+    lead: task.lead,
+    type: "task_completed",
+    actor: user,
+    metadata: { task: task._id, taskType: task.type, overdue: task.overdue },
+  });
+
+  emitEvent("task.completed", { task });
+
+  return task;
+};
+
+/**
+ * Delete task (creator, admins and managers)
+ */
+const deleteTask = async (id, user) => {
+  const task = await getTaskById(id);
+
+  const isCreator = task.createdBy?.equals(user._id);
+  if (!isCreator && !["admin", "manager"].includes(user.role)) {
+    throw createError("You can only delete tasks you created", 403);
+  }
+
+  await task.deleteOne();
+  return task;
+};
+
+/**
+ * Claim the next open task whose reminder time has come
+ * The claim is atomic so a reminder is only sent once
+ */
+const claimDueReminder = async (now = new Date()) => {
+  return Task.findOneAndUpdate(
+    { done: false, reminderSentAt: null, remindAt: { $lte: now } },
+    { reminderSentAt: now },
+    { sort: { remindAt: 1 }, new: true },
+  );
+};
+
+/**
+ * Claim the next open task that just went past its due time
+ */
+const claimNewlyOverdue = async (now = new Date()) => {
+  return Task.findOneAndUpdate(
+    { done: false, overdue: false, dueAt: { $lt: now } },
+    { overdue: true },
+    { sort: { dueAt: 1 }, new: true },
+  );
+};
+
+module.exports = {
+  getTasks,
+  getLeadTasks,
+  getOverdueTasks,
+  getTaskById,
+  createTask,
+  updateTask,
+  completeTask,
+  deleteTask,
+  claimDueReminder,
+  claimNewlyOverdue,
+};
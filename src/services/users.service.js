@@ -0,0 +1,168 @@
+const User = require("../models/User");
+const { isValidObjectId, createError } = require("../utils/errors");
+const { isValidEmail } = require("../utils/validators");
+const { isValidTimezone } = require("../utils/timezone");
+
+/**
+ * Validate fields shared by create and update
+ */
+const validateUserData = (data) => {
+  if (data.email !== undefined && !isValidEmail(data.email)) {
+    throw createError("Invalid email format", 400);
+  }
+  if (data.role !== undefined && !User.ROLES.includes(data.role)) {
+    throw createError(
+      `Invalid role. Must be one of: ${User.ROLES.join(", ")}`,
+      400,
+    );
+  }
+  if (
+    data.password !== undefined &&
+    (typeof data.password !== "string" || data.password.length < 8)
+  ) {
+    throw createError("Password must be at least 8 characters", 400);
+  }
+  if (data.timezone && !isValidTimezone(data.timezone)) {
+    throw createError(`Unknown timezone "${data.timezone}"`, 400);
+  }
+};
+
+/**
+ * Get all users
+ */
+const getUsers = async (filters = {}) => {
+  const query = {};
+
+  if (filters.role) {
+    query.role = filters.role;
+  }
+
+  if (filters.active !== undefined) {
+    query.active = filters.active === "true" || filters.active === true;
+  }
+
+  return User.find(query).sort({ name: 1 });
+};
+
+/**
+ * Get user by ID
+ */
+const getUserById = async (id) => {
+  if (!id || !isValidObjectId(id)) {
+    throw createError("Invalid user ID format", 400);
+  }
+
+  const user = await User.findById(id);
+  if (!user) {
+    throw createError("User not found", 404);
+  }
+  return user;
+};
+
+/**
+ * Create user
+ */
+const createUser = async (data) => {
+  if (!data || !data.name || !data.email || !data.password) {
+    throw createError("Name, email and password are required", 400);
+  }
+
+  validateUserData(data);
+
+  const exists = await User.exists({ email: data.email.trim().toLowerCase() });
+  if (exists) {
+    throw createError("A user with this email already exists", 409);
+  }
+
+  return User.create({
+    name: data.name,
+    email: data.email,
+    password: data.password,
+    role: data.role,
+    timezone: data.timezone,
+  });
+};
+
+/**
+ * Update user
+ */
+const updateUser = async (id, updateData) => {
+  const user = await getUserById(id);
+
+  if (!updateData || typeof updateData !== "object") {
+    throw createError("Update data is required", 400);
+  }
+
+  const allowedFields = [
+    "name",
+    "email",
+    "password",
+    "role",
+    "active",
+    "timezone",
+  ];
+  const filteredData = {};
+  for (const field of allowedFields) {
+    if (updateData[field] !== undefined) {
+      filteredData[field] = updateData[field];
+    }
+  }
+
+  if (Object.keys(filteredData).length === 0) {
+    throw createError("No valid fields to update", 400);
+  }
+
+  validateUserData(filteredData);
+
+  if (filteredData.email !== undefined) {
+    const exists = await User.exists({
+      email: filteredData.email.trim().toLowerCase(),
+      _id: { $ne: user._id },
+    });
+    if (exists) {
+      throw createError("A user with this email already exists", 409);
+    }
+  }
+
+  // Assign and save so the password hashing hook runs
+  user.set(filteredData);
+  await user.save();
+  return user;
+};
+
+/**
+ * Update the current user's own profile
+ * Email, role and password changes stay with admins
+ */
+const updateProfile = async (user, updateData) => {
+  if (!updateData || typeof updateData !== "object") {
+    throw createError("Update data is required", 400);
+  }
+
+  const allowedFields = ["name", "timezone"];
+  const filteredData = {};
+  for (const field of allowedFields) {
+    if (updateData[field] !== undefined) {
+      filteredData[field] = updateData[field];
+    }
+  }
+
+  if (Object.keys(filteredData).length === 0) {
+    throw createError("No valid fields to update", 400);
+  }
+
+  validateUserData(filteredData);
+
+  const account = await getUserById(user._id);
+  account.set(filteredData);
+  await account.save();
+  return account;
+};
+
+module.exports = {
+  getUsers,
+  getUserById,
+  createUser,
+  updateUser,
+  updateProfile,
+};
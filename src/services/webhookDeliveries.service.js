@@ -0,0 +1,290 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const WebhookSubscription = require("../models/WebhookSubscription");
+const webhookSubscriptionsService = require("./webhookSubscriptions.service");
+const { eventBus } = require("../events/eventBus");
+const { isValidObjectId, createError } = require("../utils/errors");
+
+// Retry configuration
+const MAX_ATTEMPTS = parseInt(process.env.OUTBOUND_WEBHOOK_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+// Deliveries stuck in sending longer than this are assumed lost (e.g. restart)
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// Keep only the start of subscriber responses in the delivery log
+const MAX_RESPONSE_BODY_LENGTH = 1000;
+
+/**
+ * Build the JSON body for an event
+ * Documents are converted to plain JSON so every attempt sends the same body
+ */
+const buildPayload = (event, data) => ({
+  id: crypto.randomUUID(),
+  event,
+  createdAt: new Date().toISOString(),
+  data: JSON.parse(JSON.stringify(data)),
+});
+
+/**
+ * Queue an event for every active subscription listening to it
+ */
+const enqueueEvent = async (event, data) => {
+  const subscriptions = await webhookSubscriptionsService.getSubscribers(event);
+  if (subscriptions.length === 0) return [];
+
+  const payload = buildPayload(event, data);
+  return WebhookDelivery.insertMany(
+    subscriptions.map((subscription) => ({
+      subscription: subscription._id,
+      event,
+      payload,
+      maxAttempts: MAX_ATTEMPTS,
+    })),
+  );
+};
+
+/**
+ * Queue deliveries whenever a subscribable event is emitted
+ */
+const registerEventListeners = () => {
+  WebhookSubscription.EVENT_TYPES.forEach((event) => {
+    eventBus.on(event, (data) => {
+      enqueueEvent(event, data).catch((error) => {
+        console.error(`⚠️ Failed to queue ${event} webhooks:`, error.message);
+      });
+    });
+  });
+};
+
+/**
+ * Sign a request body the way our own verifySignature helpers check it
+ */
+const signPayload = (body, secret) => {
+  return (
+    "sha256=" + crypto.createHmac("sha256", secret).update(body).digest("hex")
+  );
+};
+
+/**
+ * Atomically claim the next delivery that is due (or whose worker died)
+ */
+const claimNextDelivery = async () => {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      $or: [
+        { status: "pending", nextRunAt: { $lte: now } },
+        {
+          status: "sending",
+          lockedAt: { $lt: new Date(now - LOCK_TIMEOUT_MS) },
+        },
+      ],
+    },
+    { status: "sending", lockedAt: now, $inc: { attempts: 1 } },
+    { sort: { nextRunAt: 1 }, new: true },
+  );
+};
+
+/**
+ * Record a failed attempt and schedule a retry with exponential backoff,
+ * or move the delivery to the dead-letter state once attempts are exhausted
+ */
+const failDelivery = async (delivery, message, { retry = true } = {}) => {
+  delivery.lastError = message;
+  delivery.failures.push({
+    attempt: delivery.attempts,
+    responseStatus: delivery.responseStatus,
+    error: message,
+    at: new Date(),
+  });
+  delivery.lockedAt = null;
+
+  if (!retry || delivery.attempts >= delivery.maxAttempts) {
+    delivery.status = "dead";
+  } else {
+    const delay = Math.min(
+      RETRY_BASE_DELAY_MS * Math.pow(2, delivery.attempts - 1),
+      RETRY_MAX_DELAY_MS,
+    );
+    delivery.status = "pending";
+    delivery.nextRunAt = new Date(Date.now() + delay);
+  }
+
+  return delivery.save();
+};
+
+/**
+ * POST a claimed delivery to its subscriber
+ * Any 2xx response counts as delivered
+ */
+const sendDelivery = async (delivery) => {
+  const subscription = await WebhookSubscription.findById(
+    delivery.subscription,
+  ).select("+secret");
+  if (!subscription || !subscription.active) {
+    return failDelivery(
+      delivery,
+      subscription ? "Subscription is inactive" : "Subscription was deleted",
+      { retry: false },
+    );
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const startedAt = Date.now();
+
+  try {
+    const response = await axios.post(subscription.url, body, {
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "Leads-CRM-Webhooks/1.0",
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Delivery": String(delivery._id),
+        "X-Hub-Signature-256": signPayload(body, subscription.secret),
+      },
+      timeout: REQUEST_TIMEOUT_MS,
+      maxRedirects: 0,
+      responseType: "text",
+      transformResponse: (data) => data,
+      validateStatus: () => true,
+    });
+
+    delivery.durationMs = Date.now() - startedAt;
+    delivery.responseStatus = response.status;
+    delivery.responseBody = String(response.data ?? "").slice(
+      0,
+      MAX_RESPONSE_BODY_LENGTH,
+    );
+
+    if (response.status < 200 || response.status >= 300) {
+      return failDelivery(delivery, `Subscriber responded ${response.status}`);
+    }
+  } catch (error) {
+    delivery.durationMs = Date.now() - startedAt;
+    delivery.responseStatus = undefined;
+    delivery.responseBody = undefined;
+    return failDelivery(delivery, error.message);
+  }
+
+  delivery.status = "delivered";
+  delivery.deliveredAt = new Date();
+  delivery.lockedAt = null;
+  delivery.lastError = null;
+  return delivery.save();
+};
+
+/**
+ * Get deliveries with filters (newest first)
+ */
+const getDeliveries = async (filters = {}, options = {}) => {
+  const query = {};
+
+  if (filters.status) {
+    if (!WebhookDelivery.STATUSES.includes(filters.status)) {
+      throw createError(
+        `Invalid status. Must be one of: ${WebhookDelivery.STATUSES.join(", ")}`,
+        400,
+      );
+    }
+    query.status = filters.status;
+  }
+
+  if (filters.subscription) {
+    if (!isValidObjectId(filters.subscription)) {
+      throw createError("Invalid subscription ID format", 400);
+    }
+    query.subscription = filters.subscription;
+  }
+
+  if (filters.event) {
+    query.event = filters.event;
+  }
+
+  // Pagination
+  const page = parseInt(options.page) || 1;
+  const limit = parseInt(options.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const [deliveries, total] = await Promise.all([
+    WebhookDelivery.find(query)
+      .select("-payload")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate("subscription", "name url"),
+    WebhookDelivery.countDocuments(query),
+  ]);
+
+  return {
+    deliveries,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/**
+ * Get delivery by ID, including its payload
+ */
+const getDeliveryById = async (id) => {
+  if (!id || !isValidObjectId(id)) {
+    throw createError("Invalid delivery ID format", 400);
+  }
+
+  const delivery = await WebhookDelivery.findById(id).populate(
+    "subscription",
+    "name url",
+  );
+  if (!delivery) {
+    throw createError("Webhook delivery not found", 404);
+  }
+  return delivery;
+};
+
+/**
+ * Send a finished delivery again with a fresh set of attempts
+ */
+const redeliver = async (id) => {
+  const delivery = await getDeliveryById(id);
+
+  if (["pending", "sending"].includes(delivery.status)) {
+    throw createError("Delivery is already queued", 409);
+  }
+
+  delivery.status = "pending";
+  delivery.attempts = 0;
+  delivery.nextRunAt = new Date();
+  delivery.deliveredAt = null;
+  return delivery.save();
+};
+
+/**
+ * Queue a ping to check a subscriber's endpoint and signature handling
+ */
+const pingSubscription = async (id) => {
+  const subscription =
+    await webhookSubscriptionsService.getSubscriptionById(id);
+
+  return WebhookDelivery.create({
+    subscription: subscription._id,
+    event: "ping",
+    payload: buildPayload("ping", { subscription: subscription._id }),
+    maxAttempts: 1,
+  });
+};
+
+module.exports = {
+  enqueueEvent,
+  registerEventListeners,
+  signPayload,
+  claimNextDelivery,
+  sendDelivery,
+  getDeliveries,
+  getDeliveryById,
+  redeliver,
+  pingSubscription,
+};
@@ -0,0 +1,161 @@
+const WebhookJob = require("../models/WebhookJob");
+const { isValidObjectId, createError } = require("../utils/errors");
+
+// Retry configuration
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_JOB_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+// Jobs stuck in processing longer than this are assumed lost (e.g. restart)
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Queue a webhook payload for processing
+ */
+const enqueue = async (platform, payload, log) => {
+  return WebhookJob.create({
+    platform,
+    payload,
+    webhookLog: log?._id,
+    maxAttempts: MAX_ATTEMPTS,
+  });
+};
+
+/**
+ * Atomically claim the next job that is due (or whose worker died)
+ */
+const claimNextJob = async () => {
+  const now = new Date();
+  return WebhookJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: "pending", nextRunAt: { $lte: now } },
+        {
+          status: "processing",
+          lockedAt: { $lt: new Date(now - LOCK_TIMEOUT_MS) },
+        },
+      ],
+    },
+    { status: "processing", lockedAt: now, $inc: { attempts: 1 } },
+    { sort: { nextRunAt: 1 }, new: true },
+  );
+};
+
+/**
+ * Mark job as successfully processed
+ */
+const completeJob = async (job) => {
+  job.status = "completed";
+  job.completedAt = new Date();
+  job.lockedAt = null;
+  job.lastError = null;
+  return job.save();
+};
+
+/**
+ * Record a failed attempt and schedule a retry with exponential backoff,
+ * or move the job to the dead-letter state once attempts are exhausted
+ */
+const failJob = async (job, error) => {
+  job.lastError = error.message;
+  job.failures.push({
+    attempt: job.attempts,
+    error: error.message,
+    at: new Date(),
+  });
+  job.lockedAt = null;
+
+  if (job.attempts >= job.maxAttempts) {
+    job.status = "dead";
+  } else {
+    const delay = Math.min(
+      RETRY_BASE_DELAY_MS * Math.pow(2, job.attempts - 1),
+      RETRY_MAX_DELAY_MS,
+    );
+    job.status = "pending";
+    job.nextRunAt = new Date(Date.now() + delay);
+  }
+
+  return job.save();
+};
+
+/**
+ * Get webhook jobs with filters
+ */
+const getJobs = async (filters = {}, options = {}) => {
+  const query = {};
+
+  if (filters.status) {
+    if (!WebhookJob.STATUSES.includes(filters.status)) {
+      throw createError(
+        `Invalid status. Must be one of: ${WebhookJob.STATUSES.join(", ")}`,
+        400,
+      );
+    }
+    query.status = filters.status;
+  }
+
+  if (filters.platform) {
+    query.platform = filters.platform;
+  }
+
+  // Pagination
+  const page = parseInt(options.page) || 1;
+  const limit = parseInt(options.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const [jobs, total] = await Promise.all([
+    WebhookJob.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit),
+    WebhookJob.countDocuments(query),
+  ]);
+
+  return {
+    jobs,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/**
+ * Get webhook job by ID
+ */
+const getJobById = async (id) => {
+  if (!id || !isValidObjectId(id)) {
+    throw createError("Invalid job ID format", 400);
+  }
+
+  const job = await WebhookJob.findById(id);
+  if (!job) {
+    throw createError("Webhook job not found", 404);
+  }
+  return job;
+};
+
+/**
+ * Put a dead job back in the queue with a fresh set of attempts
+ */
+const retryJob = async (id) => {
+  const job = await getJobById(id);
+
+  if (job.status !== "dead") {
+    throw createError("Only dead jobs can be retried", 409);
+  }
+
+  job.status = "pending";
+  job.attempts = 0;
+  job.nextRunAt = new Date();
+  return job.save();
+};
+
+module.exports = {
+  enqueue,
+  claimNextJob,
+  completeJob,
+  failJob,
+  getJobs,
+  getJobById,
+  retryJob,
+};
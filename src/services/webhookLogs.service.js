@@ -0,0 +1,137 @@
+const WebhookLog = require("../models/WebhookLog");
+const handlers = require("../webhooks");
+const { isValidObjectId, createError } = require("../utils/errors");
+
+/**
+ * Get webhook logs with filters
+ */
+const getLogs = async (filters = {}, options = {}) => {
+  const query = {};
+
+  // Platform filter
+  if (filters.platform) {
+    query.platform = filters.platform;
+  }
+
+  // Processed filter
+  if (filters.processed !== undefined) {
+    query.processed =
+      filters.processed === "true" || filters.processed === true;
+  }
+
+  // Error filter ("true" = only failed, "false" = only without error)
+  if (filters.hasError !== undefined) {
+    const hasError = filters.hasError === "true" || filters.hasError === true;
+    query.error = hasError ? { $nin: [null, ""] } : { $in: [null, ""] };
+  }
+
+  if (filters.eventType) {
+    query.eventType = filters.eventType;
+  }
+
+  if (filters.leadId) {
+    if (!isValidObjectId(filters.leadId)) {
+      throw createError("Invalid lead ID format", 400);
+    }
+    query.leadId = filters.leadId;
+  }
+
+  // Date range filter
+  if (filters.fromDate || filters.toDate) {
+    query.createdAt = {};
+    if (filters.fromDate) {
+      query.createdAt.$gte = new Date(filters.fromDate);
+    }
+    if (filters.toDate) {
+      query.createdAt.$lte = new Date(filters.toDate);
+    }
+  }
+
+  // Pagination
+  const page = parseInt(options.page) || 1;
+  const limit = parseInt(options.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  // Payloads and headers can be large, fetch them per log
+  const [logs, total] = await Promise.all([
+    WebhookLog.find(query)
+      .select("-rawPayload -headers")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    WebhookLog.countDocuments(query),
+  ]);
+
+  return {
+    logs,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/**
+ * Get webhook log by ID, including payload and headers
+ */
+const getLogById = async (id) => {
+  if (!id || !isValidObjectId(id)) {
+    throw createError("Invalid webhook log ID format", 400);
+  }
+
+  const log = await WebhookLog.findById(id);
+  if (!log) {
+    throw createError("Webhook log not found", 404);
+  }
+  return log;
+};
+
+/**
+ * Re-run a stored payload through its platform handler's parsing and upsert
+ */
+const replayLog = async (id) => {
+  const log = await getLogById(id);
+
+  // Never bypass signature verification by replaying a rejected request
+  if (log.error === "Invalid signature") {
+    throw createError(
+      "Webhook failed signature verification and cannot be replayed",
+      409,
+    );
+  }
+
+  if (!log.rawPayload) {
+    throw createError("Webhook log has no payload to replay", 409);
+  }
+
+  log.error = null;
+  log.replayCount += 1;
+  log.lastReplayedAt = new Date();
+
+  let leads = [];
+  try {
+    leads = await handlers[log.platform].processPayload(log.rawPayload, log);
+  } catch (error) {
+    log.error = error.message;
+  }
+
+  log.processed = !log.error;
+  await log.save();
+
+  console.log(
+    `🔁 Replayed ${log.platform} webhook ${log._id}: ${log.error || `${leads.length} leads`}`,
+  );
+
+  return {
+    log,
+    leads,
+  };
+};
+
+module.exports = {
+  getLogs,
+  getLogById,
+  replayLog,
+};
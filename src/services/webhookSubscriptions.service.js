@@ -0,0 +1,163 @@
+const crypto = require("crypto");
+const WebhookSubscription = require("../models/WebhookSubscription");
+const { isValidObjectId, createError } = require("../utils/errors");
+
+/**
+ * Generate a signing secret for a subscription
+ */
+const generateSecret = () => crypto.randomBytes(32).toString("hex");
+
+/**
+ * Validate subscription fields shared by create and update
+ */
+const validateSubscriptionData = (data) => {
+  if (data.url !== undefined) {
+    let url;
+    try {
+      url = new URL(data.url);
+    } catch (error) {
+      throw createError("Invalid webhook URL", 400);
+    }
+    if (!["http:", "https:"].includes(url.protocol)) {
+      throw createError("Webhook URL must use http or https", 400);
+    }
+  }
+
+  if (data.events !== undefined) {
+    if (!Array.isArray(data.events) || data.events.length === 0) {
+      throw createError("At least one event is required", 400);
+    }
+    const unknown = data.events.filter(
+      (event) => !WebhookSubscription.EVENT_TYPES.includes(event),
+    );
+    if (unknown.length > 0) {
+      throw createError(
+        `Unknown events: ${unknown.join(", ")}. Must be one of: ${WebhookSubscription.EVENT_TYPES.join(", ")}`,
+        400,
+      );
+    }
+  }
+
+  if (
+    data.secret !== undefined &&
+    (typeof data.secret !== "string" || data.secret.length < 16)
+  ) {
+    throw createError("Secret must be at least 16 characters", 400);
+  }
+};
+
+/**
+ * Subscription as returned right after its secret was set
+ * (the only time the secret is shown)
+ */
+const withSecret = (subscription, secret) => ({
+  ...subscription.toObject(),
+  secret,
+});
+
+/**
+ * Get all subscriptions
+ */
+const getSubscriptions = async () => {
+  return WebhookSubscription.find().sort({ createdAt: -1 });
+};
+
+/**
+ * Get subscription by ID
+ */
+const getSubscriptionById = async (id) => {
+  if (!id || !isValidObjectId(id)) {
+    throw createError("Invalid subscription ID format", 400);
+  }
+
+  const subscription = await WebhookSubscription.findById(id);
+  if (!subscription) {
+    throw createError("Webhook subscription not found", 404);
+  }
+  return subscription;
+};
+
+/**
+ * Get active subscriptions for an event
+ */
+const getSubscribers = async (event) => {
+  return WebhookSubscription.find({ active: true, events: event });
+};
+
+/**
+ * Create subscription
+ * A secret is generated unless one is given
+ */
+const createSubscription = async (data, user) => {
+  if (!data || !data.name || !data.url || !data.events) {
+    throw createError("Name, url and events are required", 400);
+  }
+  validateSubscriptionData(data);
+
+  const secret = data.secret || generateSecret();
+  const subscription = await WebhookSubscription.create({
+    name: data.name,
+    url: data.url,
+    events: data.events,
+    active: data.active,
+    secret,
+    createdBy: user?._id,
+  });
+
+  return withSecret(subscription, secret);
+};
+
+/**
+ * Update subscription
+ * Pass a new secret or rotateSecret: true to replace the signing secret
+ */
+const updateSubscription = async (id, updateData) => {
+  const subscription = await getSubscriptionById(id);
+
+  if (!updateData || typeof updateData !== "object") {
+    throw createError("Update data is required", 400);
+  }
+
+  const allowedFields = ["name", "url", "events", "active", "secret"];
+  const filteredData = {};
+  for (const field of allowedFields) {
+    if (updateData[field] !== undefined) {
+      filteredData[field] = updateData[field];
+    }
+  }
+
+  if (updateData.rotateSecret === true && filteredData.secret === undefined) {
+    filteredData.secret = generateSecret();
+  }
+
+  if (Object.keys(filteredData).length === 0) {
+    throw createError("No valid fields to update", 400);
+  }
+
+  validateSubscriptionData(filteredData);
+
+  subscription.set(filteredData);
+  await subscription.save();
+
+  return filteredData.secret
+    ? withSecret(subscription, filteredData.secret)
+    : subscription;
+};
+
+/**
+ * Delete subscription
+ */
+const deleteSubscription = async (id) => {
+  const subscription = await getSubscriptionById(id);
+  await subscription.deleteOne();
+  return subscription;
+};
+
+module.exports = {
+  getSubscriptions,
+  getSubscriptionById,
+  getSubscribers,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+};
@@ -0,0 +1,22 @@
+const mongoose = require("mongoose");
+
+/**
+ * Validate MongoDB ObjectId
+ */
+const isValidObjectId = (id) => {
+  return mongoose.Types.ObjectId.isValid(id);
+};
+
+/**
+ * Create standardized error with status code
+ */
+const createError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+module.exports = {
+  isValidObjectId,
+  createError,
+};
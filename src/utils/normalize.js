@@ -0,0 +1,70 @@
+const { parsePhoneNumberFromString } = require("libphonenumber-js");
+
+/**
+ * Normalize email for matching (trimmed, lowercase)
+ */
+const normalizeEmail = (email) => {
+  if (typeof email !== "string") return null;
+  const normalized = email.trim().toLowerCase();
+  return normalized || null;
+};
+
+/**
+ * Get default country for phones typed without a country code
+ */
+const getDefaultCountry = () => {
+  return (process.env.DEFAULT_PHONE_COUNTRY || "").toUpperCase() || undefined;
+};
+
+/**
+ * Parse a phone as typed by the customer into E.164
+ * Country resolution: explicit +/00 prefix, then the given country
+ * (e.g. from campaign targeting), then DEFAULT_PHONE_COUNTRY
+ */
+const parsePhone = (phone, country) => {
+  if (typeof phone !== "string" && typeof phone !== "number") return null;
+
+  const raw = String(phone).trim();
+  if (!raw) return null;
+
+  // Treat the international 00 prefix like +
+  const input = raw.replace(/^00/, "+");
+  const defaultCountry = (country || "").toUpperCase() || getDefaultCountry();
+
+  let parsed;
+  try {
+    parsed = parsePhoneNumberFromString(input, { defaultCountry });
+  } catch (error) {
+    parsed = undefined;
+  }
+
+  if (!parsed) {
+    return { e164: null, country: null, valid: false };
+  }
+
+  return {
+    e164: parsed.number,
+    country: parsed.country || null,
+    valid: parsed.isValid(),
+  };
+};
+
+/**
+ * Normalize phone for matching
+ * Valid numbers match on E.164, anything else falls back to its digits
+ */
+const normalizePhone = (phone, country) => {
+  const parsed = parsePhone(phone, country);
+  if (parsed?.valid) return parsed.e164;
+
+  if (typeof phone !== "string" && typeof phone !== "number") return null;
+  const digits = String(phone).replace(/\D/g, "").replace(/^00/, "");
+  // Anything shorter cannot identify a person
+  return digits.length >= 7 ? digits : null;
+};
+
+module.exports = {
+  normalizeEmail,
+  parsePhone,
+  normalizePhone,
+};
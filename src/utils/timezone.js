@@ -0,0 +1,131 @@
+const { createError } = require("./errors");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const formatters = new Map();
+
+/**
+ * Cached formatter reading wall-clock parts in a timezone
+ */
+const getFormatter = (timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(
+      timezone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: timezone,
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+        hourCycle: "h23",
+      }),
+    );
+  }
+  return formatters.get(timezone);
+};
+
+/**
+ * Whether a name is an IANA timezone, e.g. "Africa/Cairo"
+ */
+const isValidTimezone = (timezone) => {
+  if (!timezone || typeof timezone !== "string") return false;
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Pick the timezone for a request: explicit, the user's own, then the default
+ */
+const resolveTimezone = (timezone, user) => {
+  const resolved =
+    timezone || user?.timezone || process.env.DEFAULT_TIMEZONE || "UTC";
+  if (!isValidTimezone(resolved)) {
+    throw createError(`Unknown timezone "${resolved}"`, 400);
+  }
+  return resolved;
+};
+
+/**
+ * Wall-clock time in a timezone, as a UTC timestamp with the same fields
+ * (so it can be read and moved with the getUTC* / Date.UTC helpers)
+ */
+const toWallClock = (date, timezone) => {
+  const parts = {};
+  getFormatter(timezone)
+    .formatToParts(date)
+    .forEach(({ type, value }) => {
+      parts[type] = Number(value);
+    });
+  return Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second,
+  );
+};
+
+/**
+ * Instant at which a timezone's clock shows the given wall-clock time
+ */
+const fromWallClock = (wallClock, timezone) => {
+  const offsetAt = (time) =>
+    toWallClock(new Date(time), timezone) - Math.floor(time / 1000) * 1000;
+  // Offsets can differ either side of a DST change, so check the first guess
+  const guess = wallClock - offsetAt(wallClock);
+  return new Date(wallClock - offsetAt(guess));
+};
+
+/**
+ * Midnight of the day a date falls on in a timezone
+ */
+const startOfDay = (date, timezone) => {
+  const wallClock = toWallClock(date, timezone);
+  return fromWallClock(wallClock - (wallClock % DAY_MS), timezone);
+};
+
+/**
+ * Midnight of the day after the one a date falls on in a timezone
+ */
+const startOfNextDay = (date, timezone) => {
+  const wallClock = toWallClock(date, timezone);
+  return fromWallClock(wallClock - (wallClock % DAY_MS) + DAY_MS, timezone);
+};
+
+/**
+ * Parse a date filter; a bare "YYYY-MM-DD" means that day in the timezone
+ * (its start, or its last millisecond with endOfDay)
+ * Returns null for invalid input
+ */
+const parseDateInput = (value, timezone, { endOfDay = false } = {}) => {
+  const text = String(value ?? "").trim();
+  if (DAY_PATTERN.test(text)) {
+    const wallClock = Date.parse(`${text}T00:00:00Z`);
+    if (isNaN(wallClock)) return null;
+    return endOfDay
+      ? new Date(fromWallClock(wallClock + DAY_MS, timezone) - 1)
+      : fromWallClock(wallClock, timezone);
+  }
+
+  const date = new Date(text);
+  return isNaN(date) ? null : date;
+};
+
+module.exports = {
+  DAY_MS,
+  isValidTimezone,
+  resolveTimezone,
+  toWallClock,
+  fromWallClock,
+  startOfDay,
+  startOfNextDay,
+  parseDateInput,
+};
@@ -0,0 +1,12 @@
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Validate email format
+ */
+const isValidEmail = (email) => {
+  return typeof email === "string" && EMAIL_REGEX.test(email);
+};
+
+module.exports = {
+  isValidEmail,
+};
@@ -0,0 +1,10 @@
+const metaWebhook = require("./meta.webhook");
+const snapchatWebhook = require("./snapchat.webhook");
+const tiktokWebhook = require("./tiktok.webhook");
+
+// Platform webhook handlers, keyed by Lead.platform
+module.exports = {
+  meta: metaWebhook,
+  snapchat: snapchatWebhook,
+  tiktok: tiktokWebhook,
+};
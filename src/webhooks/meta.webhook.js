@@ -1,13 +1,17 @@
 const crypto = require("crypto");
 const axios = require("axios");
-const Lead = require("../models/Lead");
 const WebhookLog = require("../models/WebhookLog");
+const ingestionService = require("../services/ingestion.service");
+const webhookJobsService = require("../services/webhookJobs.service");
 
 // Configuration
 const META_API_VERSION = "v24.0";
 const META_API_BASE_URL = `https://graph.facebook.com/${META_API_VERSION}`;
 const MAX_RETRIES = 3;
 const RETRY_DELAY_MS = 1000;
+const LEAD_FIELDS =
+  "id,created_time,field_data,form_id,ad_id,adset_id,campaign_id,ad_name,adset_name,campaign_name";
+const BACKFILL_PAGE_SIZE = 100;
 
 /**
  * Sleep utility for retry delays
@@ -98,8 +102,7 @@ const fetchLeadDetails = async (leadgenId) => {
     const response = await axios.get(`${META_API_BASE_URL}/${leadgenId}`, {
       params: {
         access_token: process.env.META_ACCESS_TOKEN,
-        fields:
-          "id,created_time,field_data,form_id,ad_id,adset_id,campaign_id,ad_name,adset_name,campaign_name",
+        fields: LEAD_FIELDS,
       },
       timeout: 10000,
     });
@@ -137,6 +140,41 @@ const fetchFormDetails = async (formId) => {
   });
 };
 
+// Ad set ID -> single targeted country (null when it targets several)
+const adsetCountryCache = new Map();
+
+/**
+ * Fetch the country an ad set targets, used to read phones typed without a country code
+ */
+const fetchAdsetCountry = async (adsetId) => {
+  if (!adsetId) return null;
+  if (adsetCountryCache.has(adsetId)) return adsetCountryCache.get(adsetId);
+
+  return withRetry(async () => {
+    const response = await axios.get(`${META_API_BASE_URL}/${adsetId}`, {
+      params: {
+        access_token: process.env.META_ACCESS_TOKEN,
+        fields: "targeting",
+      },
+      timeout: 10000,
+    });
+    return response.data;
+  })
+    .then((adset) => {
+      const countries = adset?.targeting?.geo_locations?.countries || [];
+      const country = countries.length === 1 ? countries[0] : null;
+      adsetCountryCache.set(adsetId, country);
+      return country;
+    })
+    .catch((error) => {
+      console.error(
+        "Error fetching ad set targeting:",
+        error.response?.data?.error || error.message,
+      );
+      return null;
+    });
+};
+
 /**
  * Parse field_data array into structured object
  */
@@ -183,15 +221,155 @@ const parseFieldData = (fieldData) => {
   return data;
 };
 
+/**
+ * Fetch one page of leads submitted to a form, optionally within a time range
+ * Pass the previous page's `next` URL to continue paging
+ */
+const fetchFormLeadsPage = async (formId, { since, until } = {}, nextUrl) => {
+  return withRetry(async () => {
+    if (nextUrl) {
+      const response = await axios.get(nextUrl, { timeout: 30000 });
+      return response.data;
+    }
+
+    const filtering = [];
+    if (since) {
+      filtering.push({
+        field: "time_created",
+        operator: "GREATER_THAN",
+        value: Math.floor(since.getTime() / 1000) - 1,
+      });
+    }
+    if (until) {
+      filtering.push({
+        field: "time_created",
+        operator: "LESS_THAN",
+        value: Math.floor(until.getTime() / 1000) + 1,
+      });
+    }
+
+    const response = await axios.get(`${META_API_BASE_URL}/${formId}/leads`, {
+      params: {
+        access_token: process.env.META_ACCESS_TOKEN,
+        fields: LEAD_FIELDS,
+        limit: BACKFILL_PAGE_SIZE,
+        filtering: filtering.length > 0 ? JSON.stringify(filtering) : undefined,
+      },
+      timeout: 30000,
+    });
+    return response.data;
+  })
+    .then((page) => ({
+      leads: page.data || [],
+      next: page.paging?.next || null,
+    }))
+    .catch((error) => {
+      const errorDetails = error.response?.data?.error || error.message;
+      console.error("Error fetching Meta form leads:", errorDetails);
+      throw new Error(
+        `Failed to fetch form leads: ${JSON.stringify(errorDetails)}`,
+      );
+    });
+};
+
+/**
+ * Build lead fields from Graph API lead details
+ */
+const buildLeadData = async (
+  leadDetails,
+  { formId, formName, pageId, adId },
+) => {
+  const parsedData = parseFieldData(leadDetails.field_data);
+  const country = await fetchAdsetCountry(leadDetails.adset_id);
+
+  return {
+    formId: formId || leadDetails.form_id,
+    formName: formName || null,
+    adId: leadDetails.ad_id || adId,
+    adName: leadDetails.ad_name || null,
+    adsetId: leadDetails.adset_id || null,
+    adsetName: leadDetails.adset_name || null,
+    campaignId: leadDetails.campaign_id || null,
+    campaignName: leadDetails.campaign_name || null,
+    pageId: pageId,
+    country,
+    ...parsedData,
+    platformCreatedAt: leadDetails.created_time
+      ? new Date(leadDetails.created_time)
+      : new Date(),
+    receivedAt: new Date(),
+  };
+};
+
+/**
+ * Process a Meta webhook payload: fetch and save every lead it announces
+ * Throws on failures worth retrying (e.g. Graph API errors)
+ */
+const processPayload = async (data, log) => {
+  // Validate payload structure
+  if (!data.entry || !Array.isArray(data.entry)) {
+    log.error = "Invalid payload structure: missing entry array";
+    console.error("❌ Meta webhook: Invalid payload structure");
+    return [];
+  }
+
+  const leads = [];
+
+  // Process each entry
+  for (const entry of data.entry) {
+    const pageId = entry.id;
+
+    for (const change of entry.changes || []) {
+      if (change.field === "leadgen") {
+        const leadgenId = change.value?.leadgen_id;
+        const formId = change.value?.form_id;
+
+        if (!leadgenId) {
+          console.error("❌ Meta webhook: Missing leadgen_id");
+          continue;
+        }
+
+        log.eventType = "leadgen";
+
+        // Fetch full lead details from Meta API
+        const [leadDetails, formDetails] = await Promise.all([
+          fetchLeadDetails(leadgenId),
+          fetchFormDetails(formId),
+        ]);
+
+        const leadData = await buildLeadData(leadDetails, {
+          formId,
+          formName: formDetails?.name,
+          pageId,
+          adId: change.value?.ad_id,
+        });
+
+        // Create or update lead with all available fields
+        const { lead } = await ingestionService.upsertPlatformLead(
+          "meta",
+          leadgenId,
+          leadData,
+        );
+
+        log.leadId = lead._id;
+        leads.push(lead);
+        console.log(
+          `✅ Meta lead saved: ${lead._id} (form: ${formDetails?.name || formId})`,
+        );
+      }
+    }
+  }
+
+  return leads;
+};
+
 /**
  * Handle Meta webhook events (POST request)
+ * Events are acknowledged once queued and processed by the webhook worker
  */
 const handleWebhook = async (req, res) => {
   console.log("📥 Meta webhook POST received");
 
-  // Respond immediately to Meta (they expect response within 20 seconds)
-  res.status(200).json({ received: true });
-
   const payload = req.body.toString();
   console.log("📦 Payload:", payload.substring(0, 200));
   const signature = req.headers["x-hub-signature-256"];
@@ -200,10 +378,10 @@ const handleWebhook = async (req, res) => {
   const log = new WebhookLog({
     platform: "meta",
     headers: req.headers,
-    rawPayload: JSON.parse(payload),
     ipAddress: req.ip,
   });
 
+  // Acknowledge only once the job is stored, so Meta re-delivers otherwise
   try {
     // Verify signature in production
     if (process.env.NODE_ENV === "production") {
@@ -211,86 +389,38 @@ const handleWebhook = async (req, res) => {
         log.error = "Invalid signature";
         await log.save();
         console.error("❌ Meta webhook: Invalid signature");
-        return;
+        return res.status(401).json({ error: "Invalid signature" });
       }
     }
 
-    const data = JSON.parse(payload);
-
-    // Validate payload structure
-    if (!data.entry || !Array.isArray(data.entry)) {
-      log.error = "Invalid payload structure: missing entry array";
-      await log.save();
-      console.error("❌ Meta webhook: Invalid payload structure");
-      return;
-    }
-
-    // Process each entry
-    for (const entry of data.entry) {
-      const pageId = entry.id;
-
-      for (const change of entry.changes || []) {
-        if (change.field === "leadgen") {
-          const leadgenId = change.value?.leadgen_id;
-          const formId = change.value?.form_id;
-
-          if (!leadgenId) {
-            console.error("❌ Meta webhook: Missing leadgen_id");
-            continue;
-          }
-
-          log.eventType = "leadgen";
-
-          // Fetch full lead details from Meta API
-          const [leadDetails, formDetails] = await Promise.all([
-            fetchLeadDetails(leadgenId),
-            fetchFormDetails(formId),
-          ]);
-
-          const parsedData = parseFieldData(leadDetails.field_data);
-
-          // Create or update lead with all available fields
-          const lead = await Lead.findOneAndUpdate(
-            { platform: "meta", platformLeadId: leadgenId },
-            {
-              platform: "meta",
-              platformLeadId: leadgenId,
-              formId: formId || leadDetails.form_id,
-              formName: formDetails?.name || null,
-              adId: leadDetails.ad_id || change.value?.ad_id,
-              adName: leadDetails.ad_name || null,
-              adsetId: leadDetails.adset_id || null,
-              adsetName: leadDetails.adset_name || null,
-              campaignId: leadDetails.campaign_id || null,
-              campaignName: leadDetails.campaign_name || null,
-              pageId: pageId,
-              ...parsedData,
-              platformCreatedAt: leadDetails.created_time
-                ? new Date(leadDetails.created_time)
-                : new Date(),
-              receivedAt: new Date(),
-            },
-            { upsert: true, new: true, runValidators: true },
-          );
-
-          log.leadId = lead._id;
-          log.processed = true;
-          console.log(
-            `✅ Meta lead saved: ${lead._id} (form: ${formDetails?.name || formId})`,
-          );
-        }
-      }
-    }
+    log.rawPayload = JSON.parse(payload);
 
     await log.save();
+    await webhookJobsService.enqueue("meta", log.rawPayload, log);
+
+    res.status(200).json({ received: true });
   } catch (error) {
-    console.error("Error processing Meta webhook:", error.message);
+    console.error("Error queueing Meta webhook:", error.message);
     log.error = error.message;
-    await log.save();
+    await log
+      .save()
+      .catch((saveError) =>
+        console.error("Error logging Meta webhook:", saveError.message),
+      );
+
+    // Malformed payloads are not worth a re-delivery
+    const invalidJson = error instanceof SyntaxError;
+    res.status(invalidJson ? 400 : 500).json({
+      error: invalidJson ? "Invalid JSON payload" : "Webhook not queued",
+    });
   }
 };
 
 module.exports = {
   verifyWebhook,
   handleWebhook,
+  processPayload,
+  fetchFormDetails,
+  fetchFormLeadsPage,
+  buildLeadData,
 };
@@ -1,6 +1,7 @@
 const crypto = require("crypto");
-const Lead = require("../models/Lead");
 const WebhookLog = require("../models/WebhookLog");
+const ingestionService = require("../services/ingestion.service");
+const webhookJobsService = require("../services/webhookJobs.service");
 
 // Configuration
 const TIMESTAMP_TOLERANCE_MS = 5 * 60 * 1000; // 5 minutes tolerance for timestamp validation
@@ -93,13 +94,64 @@ const parseSnapchatLead = (leadData) => {
   return data;
 };
 
+/**
+ * Process a Snapchat webhook payload and save the lead it contains
+ */
+const processPayload = async (data, log) => {
+  // Snapchat may send different event types
+  const eventType = data.event_type || "lead_submitted";
+  log.eventType = eventType;
+
+  // Only lead events are relevant
+  if (eventType !== "lead_submitted" && !data.lead) {
+    return [];
+  }
+
+  const leadData = data.lead || data;
+  const leadId = leadData.lead_id || leadData.id;
+
+  if (!leadId) {
+    log.error = "Missing lead_id in payload";
+    console.error("❌ Snapchat webhook: Missing lead_id");
+    return [];
+  }
+
+  const parsedData = parseSnapchatLead(leadData);
+
+  // Create or update lead with all available fields
+  const { lead } = await ingestionService.upsertPlatformLead(
+    "snapchat",
+    leadId,
+    {
+      formId: leadData.form_id || null,
+      formName: leadData.form_name || null,
+      adId: leadData.ad_id || null,
+      adName: leadData.ad_name || null,
+      adsetId: leadData.ad_squad_id || leadData.adset_id || null,
+      adsetName: leadData.ad_squad_name || leadData.adset_name || null,
+      campaignId: leadData.campaign_id || null,
+      campaignName: leadData.campaign_name || null,
+      ...parsedData,
+      platformCreatedAt: leadData.created_at
+        ? new Date(leadData.created_at)
+        : new Date(),
+      receivedAt: new Date(),
+    },
+  );
+
+  log.leadId = lead._id;
+  console.log(
+    `✅ Snapchat lead saved: ${lead._id} (form: ${leadData.form_name || leadData.form_id})`,
+  );
+
+  return [lead];
+};
+
 /**
  * Handle Snapchat webhook events (POST request)
+ * Events are acknowledged once queued and processed by the webhook worker
  */
 const handleWebhook = async (req, res) => {
-  // Respond immediately to Snapchat
-  res.status(200).json({ received: true });
-
   const payload = req.body.toString();
   const signature = req.headers["x-snap-signature"];
   const timestamp = req.headers["x-snap-timestamp"];
@@ -108,10 +160,10 @@ const handleWebhook = async (req, res) => {
   const log = new WebhookLog({
     platform: "snapchat",
     headers: req.headers,
-    rawPayload: JSON.parse(payload),
     ipAddress: req.ip,
   });
 
+  // Acknowledge only once the job is stored, so Snapchat re-delivers otherwise
   try {
     // Verify signature in production
     if (process.env.NODE_ENV === "production") {
@@ -119,68 +171,34 @@ const handleWebhook = async (req, res) => {
         log.error = "Invalid signature";
         await log.save();
         console.error("❌ Snapchat webhook: Invalid signature");
-        return;
+        return res.status(401).json({ error: "Invalid signature" });
       }
     }
 
-    const data = JSON.parse(payload);
-
-    // Snapchat may send different event types
-    const eventType = data.event_type || "lead_submitted";
-    log.eventType = eventType;
-
-    // Handle lead events
-    if (eventType === "lead_submitted" || data.lead) {
-      const leadData = data.lead || data;
-      const leadId = leadData.lead_id || leadData.id;
-
-      if (!leadId) {
-        log.error = "Missing lead_id in payload";
-        await log.save();
-        console.error("❌ Snapchat webhook: Missing lead_id");
-        return;
-      }
-
-      const parsedData = parseSnapchatLead(leadData);
-
-      // Create or update lead with all available fields
-      const lead = await Lead.findOneAndUpdate(
-        { platform: "snapchat", platformLeadId: leadId },
-        {
-          platform: "snapchat",
-          platformLeadId: leadId,
-          formId: leadData.form_id || null,
-          formName: leadData.form_name || null,
-          adId: leadData.ad_id || null,
-          adName: leadData.ad_name || null,
-          adsetId: leadData.ad_squad_id || leadData.adset_id || null,
-          adsetName: leadData.ad_squad_name || leadData.adset_name || null,
-          campaignId: leadData.campaign_id || null,
-          campaignName: leadData.campaign_name || null,
-          ...parsedData,
-          platformCreatedAt: leadData.created_at
-            ? new Date(leadData.created_at)
-            : new Date(),
-          receivedAt: new Date(),
-        },
-        { upsert: true, new: true, runValidators: true },
-      );
-
-      log.leadId = lead._id;
-      log.processed = true;
-      console.log(
-        `✅ Snapchat lead saved: ${lead._id} (form: ${leadData.form_name || leadData.form_id})`,
-      );
-    }
+    log.rawPayload = JSON.parse(payload);
 
     await log.save();
+    await webhookJobsService.enqueue("snapchat", log.rawPayload, log);
+
+    res.status(200).json({ received: true });
   } catch (error) {
-    console.error("Error processing Snapchat webhook:", error.message);
+    console.error("Error queueing Snapchat webhook:", error.message);
     log.error = error.message;
-    await log.save();
+    await log
+      .save()
+      .catch((saveError) =>
+        console.error("Error logging Snapchat webhook:", saveError.message),
+      );
+
+    // Malformed payloads are not worth a re-delivery
+    const invalidJson = error instanceof SyntaxError;
+    res.status(invalidJson ? 400 : 500).json({
+      error: invalidJson ? "Invalid JSON payload" : "Webhook not queued",
+    });
   }
 };
 
 module.exports = {
   handleWebhook,
+  processPayload,
 };
@@ -1,6 +1,7 @@
 const crypto = require("crypto");
-const Lead = require("../models/Lead");
 const WebhookLog = require("../models/WebhookLog");
+const ingestionService = require("../services/ingestion.service");
+const webhookJobsService = require("../services/webhookJobs.service");
 
 /**
  * Verify TikTok webhook signature
@@ -84,13 +85,65 @@ const parseTiktokLead = (leadData) => {
   return data;
 };
 
+/**
+ * Process a TikTok webhook payload and save the lead it contains
+ */
+const processPayload = async (data, log) => {
+  // TikTok may wrap lead in different structures
+  const eventType = data.event || data.event_type || "lead_submitted";
+  log.eventType = eventType;
+
+  // Handle lead events - TikTok can send data in various formats
+  const leadData = data.lead || data.data?.lead || data;
+  const leadId = leadData.lead_id || leadData.id || data.lead_id;
+
+  if (!leadId) {
+    log.error = "Missing lead_id in payload";
+    console.error("❌ TikTok webhook: Missing lead_id");
+    return [];
+  }
+
+  const parsedData = parseTiktokLead(leadData);
+
+  // Parse TikTok timestamp (can be Unix seconds or milliseconds)
+  let platformCreatedAt = new Date();
+  if (leadData.create_time) {
+    const timestamp = parseInt(leadData.create_time, 10);
+    // If timestamp is in seconds (less than year 3000 in seconds)
+    platformCreatedAt =
+      timestamp < 32503680000
+        ? new Date(timestamp * 1000)
+        : new Date(timestamp);
+  }
+
+  // Create or update lead with all available fields
+  const { lead } = await ingestionService.upsertPlatformLead("tiktok", leadId, {
+    formId: leadData.form_id || data.form_id || null,
+    formName: leadData.form_name || data.form_name || null,
+    adId: leadData.ad_id || data.ad_id || null,
+    adName: leadData.ad_name || data.ad_name || null,
+    adsetId: leadData.adgroup_id || data.adgroup_id || null,
+    adsetName: leadData.adgroup_name || data.adgroup_name || null,
+    campaignId: leadData.campaign_id || data.campaign_id || null,
+    campaignName: leadData.campaign_name || data.campaign_name || null,
+    ...parsedData,
+    platformCreatedAt,
+    receivedAt: new Date(),
+  });
+
+  log.leadId = lead._id;
+  console.log(
+    `✅ TikTok lead saved: ${lead._id} (form: ${leadData.form_name || leadData.form_id})`,
+  );
+
+  return [lead];
+};
+
 /**
  * Handle TikTok webhook events (POST request)
+ * Events are acknowledged once queued and processed by the webhook worker
  */
 const handleWebhook = async (req, res) => {
-  // Respond immediately to TikTok (they expect specific format)
-  res.status(200).json({ code: 0, message: "success" });
-
   const payload = req.body.toString();
   const signature =
     req.headers["x-tiktok-signature"] || req.headers["x-tt-signature"];
@@ -99,10 +152,10 @@ const handleWebhook = async (req, res) => {
   const log = new WebhookLog({
     platform: "tiktok",
     headers: req.headers,
-    rawPayload: JSON.parse(payload),
     ipAddress: req.ip,
   });
 
+  // Acknowledge only once the job is stored, so TikTok re-delivers otherwise
   try {
     // Verify signature in production
     if (process.env.NODE_ENV === "production") {
@@ -110,75 +163,34 @@ const handleWebhook = async (req, res) => {
         log.error = "Invalid signature";
         await log.save();
         console.error("❌ TikTok webhook: Invalid signature");
-        return;
+        return res.status(401).json({ error: "Invalid signature" });
       }
     }
 
-    const data = JSON.parse(payload);
-
-    // TikTok may wrap lead in different structures
-    const eventType = data.event || data.event_type || "lead_submitted";
-    log.eventType = eventType;
-
-    // Handle lead events - TikTok can send data in various formats
-    const leadData = data.lead || data.data?.lead || data;
-    const leadId = leadData.lead_id || leadData.id || data.lead_id;
-
-    if (!leadId) {
-      log.error = "Missing lead_id in payload";
-      await log.save();
-      console.error("❌ TikTok webhook: Missing lead_id");
-      return;
-    }
-
-    const parsedData = parseTiktokLead(leadData);
-
-    // Parse TikTok timestamp (can be Unix seconds or milliseconds)
-    let platformCreatedAt = new Date();
-    if (leadData.create_time) {
-      const timestamp = parseInt(leadData.create_time, 10);
-      // If timestamp is in seconds (less than year 3000 in seconds)
-      platformCreatedAt =
-        timestamp < 32503680000
-          ? new Date(timestamp * 1000)
-          : new Date(timestamp);
-    }
-
-    // Create or update lead with all available fields
-    const lead = await Lead.findOneAndUpdate(
-      { platform: "tiktok", platformLeadId: leadId },
-      {
-        platform: "tiktok",
-        platformLeadId: leadId,
-        formId: leadData.form_id || data.form_id || null,
-        formName: leadData.form_name || data.form_name || null,
-        adId: leadData.ad_id || data.ad_id || null,
-        adName: leadData.ad_name || data.ad_name || null,
-        adsetId: leadData.adgroup_id || data.adgroup_id || null,
-        adsetName: leadData.adgroup_name || data.adgroup_name || null,
-        campaignId: leadData.campaign_id || data.campaign_id || null,
-        campaignName: leadData.campaign_name || data.campaign_name || null,
-        ...parsedData,
-        platformCreatedAt,
-        receivedAt: new Date(),
-      },
-      { upsert: true, new: true, runValidators: true },
-    );
-
-    log.leadId = lead._id;
-    log.processed = true;
-    console.log(
-      `✅ TikTok lead saved: ${lead._id} (form: ${leadData.form_name || leadData.form_id})`,
-    );
+    log.rawPayload = JSON.parse(payload);
 
     await log.save();
+    await webhookJobsService.enqueue("tiktok", log.rawPayload, log);
+
+    res.status(200).json({ code: 0, message: "success" });
   } catch (error) {
-    console.error("Error processing TikTok webhook:", error.message);
+    console.error("Error queueing TikTok webhook:", error.message);
     log.error = error.message;
-    await log.save();
+    await log
+      .save()
+      .catch((saveError) =>
+        console.error("Error logging TikTok webhook:", saveError.message),
+      );
+
+    // Malformed payloads are not worth a re-delivery
+    const invalidJson = error instanceof SyntaxError;
+    res.status(invalidJson ? 400 : 500).json({
+      error: invalidJson ? "Invalid JSON payload" : "Webhook not queued",
+    });
   }
 };
 
 module.exports = {
   handleWebhook,
+  processPayload,
 };
@@ -0,0 +1,29 @@
+const { createPoller } = require("./poller");
+const webhookDeliveriesService = require("../services/webhookDeliveries.service");
+
+const POLL_INTERVAL_MS =
+  parseInt(process.env.OUTBOUND_WEBHOOK_INTERVAL_MS) || 2000;
+
+/**
+ * Send all due deliveries, one at a time
+ */
+const run = async ({ isStopping }) => {
+  let delivery;
+  while (
+    !isStopping() &&
+    (delivery = await webhookDeliveriesService.claimNextDelivery())
+  ) {
+    await webhookDeliveriesService.sendDelivery(delivery);
+    if (delivery.status === "dead") {
+      console.error(
+        `☠️ Outbound webhook delivery ${delivery._id} (${delivery.event}) moved to dead-letter: ${delivery.lastError}`,
+      );
+    }
+  }
+};
+
+module.exports = createPoller({
+  name: "Outbound webhook worker",
+  intervalMs: POLL_INTERVAL_MS,
+  run,
+});
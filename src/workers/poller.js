@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+/**
+ * Create a worker that runs a job on a fixed interval
+ * Runs never overlap and are skipped while the database is down.
+ * The job gets isStopping() so long drains can end early on shutdown
+ */
+const createPoller = ({ name, intervalMs, run }) => {
+  let timer = null;
+  let running = false;
+  let stopping = false;
+
+  const tick = async () => {
+    if (running || mongoose.connection.readyState !== 1) return;
+    running = true;
+
+    try {
+      await run({ isStopping: () => stopping });
+    } catch (error) {
+      console.error(`${name} error:`, error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  /**
+   * Start running the job
+   */
+  const start = () => {
+    if (timer) return;
+    stopping = false;
+    timer = setInterval(tick, intervalMs);
+    console.log(`⚙️ ${name} started (every ${intervalMs}ms)`);
+  };
+
+  /**
+   * Stop running the job and wait for the run in progress to finish
+   */
+  const stop = async () => {
+    stopping = true;
+    clearInterval(timer);
+    timer = null;
+    while (running) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+  };
+
+  return { start, stop };
+};
+
+module.exports = {
+  createPoller,
+};
@@ -0,0 +1,21 @@
+const { createPoller } = require("./poller");
+const scoringService = require("../services/scoring.service");
+
+const POLL_INTERVAL_MS =
+  parseInt(process.env.SCORE_REFRESH_INTERVAL_MS) || 15 * 60 * 1000;
+
+/**
+ * Refresh the scores of open leads that depend on their age
+ */
+const run = async () => {
+  const updated = await scoringService.refreshRecencyScores();
+  if (updated > 0) {
+    console.log(`🎯 Refreshed recency scores of ${updated} open leads`);
+  }
+};
+
+module.exports = createPoller({
+  name: "Score refresher",
+  intervalMs: POLL_INTERVAL_MS,
+  run,
+});
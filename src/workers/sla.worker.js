@@ -0,0 +1,22 @@
+const { createPoller } = require("./poller");
+const slaService = require("../services/sla.service");
+
+const POLL_INTERVAL_MS = parseInt(process.env.SLA_CHECK_INTERVAL_MS) || 60000;
+
+/**
+ * Flag unanswered leads whose response deadline has passed
+ */
+const run = async ({ isStopping }) => {
+  const now = new Date();
+  let lead;
+
+  while (!isStopping() && (lead = await slaService.claimNewlyBreached(now))) {
+    await slaService.notifyBreach(lead);
+  }
+};
+
+module.exports = createPoller({
+  name: "SLA checker",
+  intervalMs: POLL_INTERVAL_MS,
+  run,
+});
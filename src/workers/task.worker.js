@@ -0,0 +1,30 @@
+const { createPoller } = require("./poller");
+const tasksService = require("../services/tasks.service");
+const { emitEvent } = require("../events/eventBus");
+
+const POLL_INTERVAL_MS =
+  parseInt(process.env.TASK_SCHEDULER_INTERVAL_MS) || 30000;
+
+/**
+ * Send due reminders, then flag tasks that went overdue
+ */
+const run = async ({ isStopping }) => {
+  const now = new Date();
+  let task;
+
+  while (!isStopping() && (task = await tasksService.claimDueReminder(now))) {
+    console.log(`⏰ Reminder for task ${task._id} (${task.title})`);
+    emitEvent("task.reminder", { task });
+  }
+
+  while (!isStopping() && (task = await tasksService.claimNewlyOverdue(now))) {
+    console.log(`⏰ Task ${task._id} is overdue`);
+    emitEvent("task.overdue", { task });
+  }
+};
+
+module.exports = createPoller({
+  name: "Task scheduler",
+  intervalMs: POLL_INTERVAL_MS,
+  run,
+});
@@ -0,0 +1,54 @@
+const { createPoller } = require("./poller");
+const WebhookLog = require("../models/WebhookLog");
+const webhookJobsService = require("../services/webhookJobs.service");
+const handlers = require("../webhooks");
+
+const POLL_INTERVAL_MS =
+  parseInt(process.env.WEBHOOK_WORKER_INTERVAL_MS) || 2000;
+
+/**
+ * Process a single claimed job
+ */
+const processJob = async (job) => {
+  const log =
+    (job.webhookLog && (await WebhookLog.findById(job.webhookLog))) ||
+    new WebhookLog({ platform: job.platform, rawPayload: job.payload });
+
+  try {
+    // Only errors from this attempt count, so a successful retry clears them
+    log.error = null;
+    await handlers[job.platform].processPayload(job.payload, log);
+    await webhookJobsService.completeJob(job);
+    if (!log.error) {
+      log.processed = true;
+    }
+  } catch (error) {
+    await webhookJobsService.failJob(job, error);
+    log.error = error.message;
+    console.error(
+      `❌ ${job.platform} webhook job ${job._id} attempt ${job.attempts}/${job.maxAttempts} failed:`,
+      error.message,
+    );
+    if (job.status === "dead") {
+      console.error(`☠️ Webhook job ${job._id} moved to dead-letter`);
+    }
+  }
+
+  await log.save();
+};
+
+/**
+ * Drain all due jobs, one at a time
+ */
+const run = async ({ isStopping }) => {
+  let job;
+  while (!isStopping() && (job = await webhookJobsService.claimNextJob())) {
+    await processJob(job);
+  }
+};
+
+module.exports = createPoller({
+  name: "Webhook worker",
+  intervalMs: POLL_INTERVAL_MS,
+  run,
+});